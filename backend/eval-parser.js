@@ -0,0 +1,262 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+
+import { parseOcrResult } from './utils/parser.js';
+import { normalizeGtin } from './utils/gtin.js';
+import { parseQuantity, formatQuantity } from './utils/quantity.js';
+import { parseDate } from './utils/dates.js';
+import { PROMO_MECHANICS } from './utils/promo.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Replays stored model texts through the regex parser and scores the parsed
+// fields against hand-made labels. No model is called, so parser changes can
+// be measured offline: run it before and after a change and compare.
+const LABELS_FILE = process.env.LABELS_FILE || path.join(__dirname, 'fixtures', 'parser-labels.json');
+const RESULTS_FILE = process.env.RESULTS_FILE || path.join(__dirname, 'batch-results.json');
+const OUTPUT_FILE = process.env.OUTPUT_FILE || path.join(__dirname, 'parser-eval.json');
+// The committed report to compare with. It is only replaced on purpose, by
+// writing a run to it with OUTPUT_FILE, never by an ordinary run.
+const BASELINE_FILE = process.env.BASELINE_FILE || path.join(__dirname, 'fixtures', 'parser-eval-baseline.json');
+
+const sameNumber = (a, b) => Math.abs(a - b) < 0.005;
+const sameText = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+const sameDay = (a, b) => new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+const toPromo = (value) => (typeof value === 'string' ? { mechanic: value } : value);
+
+// Only the promo details written in the label are checked
+const samePromo = (expected, actual) => Object.entries(expected).every(([key, value]) => (
+  typeof value === 'number' ? sameNumber(value, actual[key]) : value === actual[key]
+));
+
+// How a label value is read and compared with the parsed one. isPromo: false
+// counts as an absent value, so a promo found on a regular tag is a false positive.
+const FIELDS = {
+  price: { compare: sameNumber },
+  originalPrice: { compare: sameNumber },
+  cardPrice: { compare: sameNumber },
+  pricePerUnit: { compare: sameNumber },
+  discountPercent: { compare: sameNumber },
+  currency: { compare: sameText },
+  unit: { compare: sameText },
+  barcode: { expected: (value) => normalizeGtin(value) || value, compare: (a, b) => a === normalizeGtin(b) },
+  quantity: {
+    expected: parseQuantity,
+    compare: (a, b) => a.baseUnit === b.baseUnit && sameNumber(a.base, b.base),
+    format: (value) => (typeof value === 'string' ? value : formatQuantity(value))
+  },
+  isPromo: { compare: (a, b) => a === b },
+  promo: { expected: toPromo, compare: samePromo, format: (value) => value?.label ?? value?.mechanic ?? value },
+  promoStartsAt: { expected: (value) => parseDate(value), compare: sameDay },
+  promoEndsAt: { expected: (value) => parseDate(value), compare: sameDay },
+  expiresAt: { expected: (value) => parseDate(value), compare: sameDay }
+};
+
+const isPresent = (value) => value !== null && value !== undefined && value !== false;
+
+async function readJson(file, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && fallback !== undefined) {
+      return fallback;
+    }
+    throw new Error(`Cannot read ${file}: ${error.message}`);
+  }
+}
+
+function checkLabels(labels) {
+  for (const [filename, expected] of Object.entries(labels)) {
+    for (const field of Object.keys(expected)) {
+      if (!FIELDS[field]) {
+        console.warn(`${filename}: unknown field "${field}" is ignored`);
+      }
+    }
+    const mechanic = toPromo(expected.promo)?.mechanic;
+    if (mechanic && !PROMO_MECHANICS.includes(mechanic)) {
+      console.warn(`${filename}: unknown promo mechanic "${mechanic}"`);
+    }
+  }
+}
+
+// tp: right value, tn: correctly absent, fp: value where none is printed,
+// fn: value missed, wrong: a value other than the printed one
+function classify(field, label, actual) {
+  const { expected: readLabel = (value) => value, compare } = FIELDS[field];
+  const expected = label === null ? null : readLabel(label);
+
+  if (!isPresent(expected)) {
+    return isPresent(actual) ? 'fp' : 'tn';
+  }
+  if (!isPresent(actual)) {
+    return 'fn';
+  }
+  return compare(expected, actual) ? 'tp' : 'wrong';
+}
+
+function evaluateFile(text, expected, reference) {
+  const parsed = parseOcrResult(text, { reference });
+  const fields = {};
+
+  for (const [field, label] of Object.entries(expected)) {
+    if (!FIELDS[field]) continue;
+
+    const actual = parsed[field] ?? null;
+    fields[field] = {
+      outcome: classify(field, label, actual),
+      expected: label,
+      actual
+    };
+  }
+
+  return fields;
+}
+
+const ratio = (part, total) => (total > 0 ? Math.round(part / total * 1000) / 1000 : null);
+
+function summarize(files) {
+  const stats = {};
+
+  for (const fields of Object.values(files)) {
+    for (const [field, { outcome }] of Object.entries(fields)) {
+      stats[field] ||= { tp: 0, tn: 0, fp: 0, fn: 0, wrong: 0 };
+      stats[field][outcome]++;
+    }
+  }
+
+  for (const s of Object.values(stats)) {
+    const labelled = s.tp + s.tn + s.fp + s.fn + s.wrong;
+    s.precision = ratio(s.tp, s.tp + s.fp + s.wrong);
+    s.recall = ratio(s.tp, s.tp + s.fn + s.wrong);
+    s.accuracy = ratio(s.tp + s.tn, labelled);
+  }
+
+  return stats;
+}
+
+const isCorrect = (outcome) => outcome === 'tp' || outcome === 'tn';
+
+// Fields that were right in the baseline and are not any more, and the reverse
+function compareWithBaseline(files, baseline) {
+  const regressions = [];
+  const fixes = [];
+
+  for (const [filename, fields] of Object.entries(files)) {
+    for (const [field, result] of Object.entries(fields)) {
+      const before = baseline.files?.[filename]?.[field];
+      if (!before) continue;
+
+      const entry = { filename, field, expected: result.expected, before: before.actual, after: result.actual };
+      if (isCorrect(before.outcome) && !isCorrect(result.outcome)) {
+        regressions.push(entry);
+      } else if (!isCorrect(before.outcome) && isCorrect(result.outcome)) {
+        fixes.push(entry);
+      }
+    }
+  }
+
+  return { regressions, fixes };
+}
+
+const formatRatio = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) return '—';
+  const format = FIELDS[field].format || ((v) => v);
+  return JSON.stringify(format(value));
+};
+
+const formatChange = ({ filename, field, expected, before, after }) => (
+  `${filename} ${field}: expected ${formatValue(field, expected)}, was ${formatValue(field, before)}, now ${formatValue(field, after)}`
+);
+
+function printReport(stats, comparison) {
+  console.log('\nField              Precision  Recall  Accuracy   TP   TN   FP   FN  Wrong');
+  for (const [field, s] of Object.entries(stats)) {
+    console.log(
+      `${field.padEnd(18)} ${formatRatio(s.precision)}    ${formatRatio(s.recall)}  ${formatRatio(s.accuracy)}  ` +
+      [s.tp, s.tn, s.fp, s.fn, s.wrong].map(n => String(n).padStart(4)).join(' ')
+    );
+  }
+
+  if (!comparison) {
+    console.log('\nNo baseline to compare with.');
+    return;
+  }
+
+  console.log(`\nRegressions: ${comparison.regressions.length}, fixes: ${comparison.fixes.length}`);
+  for (const r of comparison.regressions) {
+    console.log(`  ✗ ${formatChange(r)}`);
+  }
+  for (const f of comparison.fixes) {
+    console.log(`  ✓ ${formatChange(f)}`);
+  }
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('PARSER EVALUATION');
+  console.log('='.repeat(80));
+  console.log(`Labels: ${LABELS_FILE}`);
+  console.log(`Model texts: ${RESULTS_FILE}`);
+  console.log(`Baseline: ${BASELINE_FILE}`);
+
+  const labels = await readJson(LABELS_FILE);
+  const results = await readJson(RESULTS_FILE);
+  const baseline = await readJson(BASELINE_FILE, null);
+
+  checkLabels(labels);
+
+  const texts = new Map(
+    results
+      .filter(r => r.success && typeof r.data?.text === 'string')
+      .map(r => [r.filename, r.data])
+  );
+
+  const files = {};
+  const missing = [];
+
+  for (const [filename, expected] of Object.entries(labels)) {
+    const data = texts.get(filename);
+    if (!data) {
+      missing.push(filename);
+      continue;
+    }
+
+    // Dates without a year are read relative to when the text was produced
+    const reference = data.timestamp ? new Date(data.timestamp) : undefined;
+    files[filename] = evaluateFile(data.text, expected, reference);
+  }
+
+  console.log(`Evaluated: ${Object.keys(files).length} of ${Object.keys(labels).length} labelled file(s)`);
+  if (missing.length > 0) {
+    console.log(`No stored model text for: ${missing.join(', ')}`);
+  }
+
+  const stats = summarize(files);
+  const comparison = baseline ? compareWithBaseline(files, baseline) : null;
+
+  printReport(stats, comparison);
+
+  await fs.writeFile(OUTPUT_FILE, JSON.stringify({
+    generatedAt: new Date().toISOString(),
+    labelsFile: path.relative(__dirname, LABELS_FILE),
+    resultsFile: path.relative(__dirname, RESULTS_FILE),
+    fields: stats,
+    files
+  }, null, 2));
+  console.log(`\nReport saved to: ${OUTPUT_FILE}`);
+  console.log('='.repeat(80));
+
+  if (comparison?.regressions.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
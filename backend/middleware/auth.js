@@ -48,4 +48,12 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
-export default { auth, optionalAuth, generateToken };
+// Goes after auth
+export const adminOnly = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ error: 'Требуются права администратора' });
+  }
+  next();
+};
+
+export default { auth, optionalAuth, adminOnly, generateToken };
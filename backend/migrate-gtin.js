@@ -0,0 +1,134 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+import Product from './models/Product.js';
+import ScanHistory from './models/ScanHistory.js';
+import { normalizeGtin } from './utils/gtin.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+dotenv.config({ path: join(__dirname, '..', '.env') });
+
+const DRY_RUN = process.env.DRY_RUN === 'true';
+
+const MERGED_FIELDS = ['brand', 'category', 'composition', 'unit'];
+
+function groupByGtin(products) {
+  const groups = new Map();
+  const invalid = [];
+
+  for (const product of products) {
+    const gtin = normalizeGtin(product.barcode);
+    if (!gtin) {
+      invalid.push(product);
+      continue;
+    }
+    if (!groups.has(gtin)) {
+      groups.set(gtin, []);
+    }
+    groups.get(gtin).push(product);
+  }
+
+  return { groups, invalid };
+}
+
+async function mergeGroup(gtin, products) {
+  const [target, ...duplicates] = [...products].sort((a, b) => a.createdAt - b.createdAt);
+
+  if (duplicates.length === 0 && target.barcode === gtin) {
+    return false;
+  }
+
+  console.log(`${gtin}: ${products.map(p => p.barcode).join(', ')} -> ${target._id}`);
+
+  if (DRY_RUN) {
+    return true;
+  }
+
+  for (const duplicate of duplicates) {
+    target.priceHistory.push(...duplicate.priceHistory.map(point => point.toObject()));
+    for (const field of MERGED_FIELDS) {
+      if (!target[field] && duplicate[field]) {
+        target[field] = duplicate[field];
+      }
+    }
+  }
+  target.priceHistory.sort((a, b) => a.scannedAt - b.scannedAt);
+
+  const duplicateIds = duplicates.map(p => p._id);
+  if (duplicateIds.length > 0) {
+    // The merged history is saved before any duplicate is deleted, so a
+    // failed save loses nothing and the migration can simply be run again
+    await target.save();
+    await ScanHistory.updateMany({ productId: { $in: duplicateIds } }, { productId: target._id });
+    // Free the unique barcode index before the target takes the canonical code
+    await Product.deleteMany({ _id: { $in: duplicateIds } });
+  }
+
+  target.barcode = gtin;
+  await target.save();
+
+  return true;
+}
+
+async function normalizeScanBarcodes() {
+  const barcodes = await ScanHistory.distinct('extractedData.barcode');
+  let updated = 0;
+
+  for (const barcode of barcodes) {
+    const gtin = normalizeGtin(barcode);
+    if (!gtin || gtin === barcode) continue;
+
+    if (!DRY_RUN) {
+      const result = await ScanHistory.updateMany(
+        { 'extractedData.barcode': barcode },
+        { 'extractedData.barcode': gtin }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+
+  return updated;
+}
+
+async function main() {
+  console.log('='.repeat(80));
+  console.log('GTIN MIGRATION');
+  console.log('='.repeat(80));
+  console.log(`Dry run: ${DRY_RUN ? 'Yes' : 'No'}`);
+
+  const { connectDB } = await import('./db.js');
+  await connectDB({ retries: 3 });
+
+  const products = await Product.find({ barcode: { $exists: true, $ne: null } });
+  const { groups, invalid } = groupByGtin(products);
+
+  let merged = 0;
+  for (const [gtin, group] of groups) {
+    if (await mergeGroup(gtin, group)) {
+      merged++;
+    }
+  }
+
+  const scans = await normalizeScanBarcodes();
+
+  console.log('='.repeat(80));
+  console.log(`Products checked: ${products.length}`);
+  console.log(`Products normalized or merged: ${merged}`);
+  console.log(`Scans updated: ${scans}`);
+  console.log(`Invalid barcodes left as is: ${invalid.length}`);
+  for (const product of invalid) {
+    console.log(`  ${product._id} ${product.barcode} (${product.name})`);
+  }
+
+  await mongoose.disconnect();
+}
+
+main().catch(async (error) => {
+  console.error(error);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { promoSchema, quantitySchema, unitPriceSchema } from './ScanHistory.js';
+import { computeUnitPrice } from '../utils/quantity.js';
 
 const priceHistorySchema = new mongoose.Schema({
   price: {
@@ -8,6 +10,16 @@ const priceHistorySchema = new mongoose.Schema({
   originalPrice: {
     type: Number
   },
+  regularPrice: {
+    type: Number
+  },
+  cardPrice: {
+    type: Number
+  },
+  cardProgram: {
+    type: String,
+    trim: true
+  },
   currency: {
     type: String,
     default: 'RUB'
@@ -16,9 +28,22 @@ const priceHistorySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  store: {
-    type: String,
-    trim: true
+  promo: promoSchema,
+  promoStartsAt: {
+    type: Date
+  },
+  promoEndsAt: {
+    type: Date
+  },
+  printedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
   },
   scannedAt: {
     type: Date,
@@ -54,10 +79,17 @@ const productSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  composition: {
+    type: String,
+    trim: true
+  },
   unit: {
     type: String,
     trim: true
   },
+  quantity: quantitySchema,
+  // Current price per kg, litre or piece, kept for sorting by real unit cost
+  unitPrice: unitPriceSchema,
   priceHistory: [priceHistorySchema],
   createdAt: {
     type: Date,
@@ -71,29 +103,59 @@ const productSchema = new mongoose.Schema({
 
 productSchema.index({ name: 'text', brand: 'text' });
 
+productSchema.index({ 'unitPrice.unit': 1, 'unitPrice.value': 1 });
+
+productSchema.index({ 'priceHistory.promoEndsAt': 1 });
+
+productSchema.index({ 'priceHistory.storeId': 1 });
+
 productSchema.pre('save', function() {
   this.updatedAt = new Date();
+  this.unitPrice = computeUnitPrice({ price: this.getCurrentPrice()?.price, quantity: this.quantity }) ?? undefined;
 });
 
-productSchema.methods.getCurrentPrice = function() {
-  if (this.priceHistory.length === 0) return null;
-  return this.priceHistory[this.priceHistory.length - 1];
+export const PRICE_SERIES = ['regular', 'card'];
+
+// The regular series is every point's price; the card series only has the
+// points where a loyalty-card price was printed.
+export const seriesPrice = (point, series) => (series === 'card' ? point.cardPrice : point.price);
+
+productSchema.methods.getPriceSeries = function(series = 'regular') {
+  return this.priceHistory.filter(p => seriesPrice(p, series) > 0);
+};
+
+productSchema.methods.getCurrentPrice = function(series = 'regular') {
+  const points = this.getPriceSeries(series);
+  if (points.length === 0) return null;
+  return points[points.length - 1];
+};
+
+// The latest point of the series in each store; points without a store are left out
+productSchema.methods.getStorePrices = function(series = 'regular') {
+  const latest = new Map();
+  for (const point of this.getPriceSeries(series)) {
+    if (point.storeId) latest.set(String(point.storeId), point);
+  }
+  return [...latest.values()];
 };
 
-productSchema.methods.getMinPrice = function() {
-  if (this.priceHistory.length === 0) return null;
-  return Math.min(...this.priceHistory.map(p => p.price));
+productSchema.methods.getMinPrice = function(series = 'regular') {
+  const points = this.getPriceSeries(series);
+  if (points.length === 0) return null;
+  return Math.min(...points.map(p => seriesPrice(p, series)));
 };
 
-productSchema.methods.getMaxPrice = function() {
-  if (this.priceHistory.length === 0) return null;
-  return Math.max(...this.priceHistory.map(p => p.price));
+productSchema.methods.getMaxPrice = function(series = 'regular') {
+  const points = this.getPriceSeries(series);
+  if (points.length === 0) return null;
+  return Math.max(...points.map(p => seriesPrice(p, series)));
 };
 
-productSchema.methods.getAvgPrice = function() {
-  if (this.priceHistory.length === 0) return null;
-  const sum = this.priceHistory.reduce((acc, p) => acc + p.price, 0);
-  return sum / this.priceHistory.length;
+productSchema.methods.getAvgPrice = function(series = 'regular') {
+  const points = this.getPriceSeries(series);
+  if (points.length === 0) return null;
+  const sum = points.reduce((acc, p) => acc + seriesPrice(p, series), 0);
+  return sum / points.length;
 };
 
 export default mongoose.model('Product', productSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// Templates are never edited in place: a change is saved as the next version
+// of the same name, so scans can keep pointing at the text they were run with.
+const promptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9][a-z0-9_-]*$/
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  extraction: {
+    type: String,
+    enum: ['template', 'json'],
+    default: 'template'
+  },
+  locale: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  currency: {
+    type: String,
+    uppercase: true
+  },
+  chain: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promptTemplateSchema.index({ name: 1, version: 1 }, { unique: true });
+
+export default mongoose.model('PromptTemplate', promptTemplateSchema);
@@ -1,31 +1,224 @@
 import mongoose from 'mongoose';
+import { PROMO_MECHANICS } from '../utils/promo.js';
+
+export const quantitySchema = new mongoose.Schema({
+  amount: Number,
+  unit: String,
+  count: Number,
+  base: Number,
+  baseUnit: {
+    type: String,
+    enum: ['кг', 'л', 'шт']
+  }
+}, { _id: false });
+
+export const unitPriceSchema = new mongoose.Schema({
+  value: Number,
+  unit: {
+    type: String,
+    enum: ['кг', 'л', 'шт']
+  }
+}, { _id: false });
+
+// A multi-buy or conditional offer. promoPrice is what the tag prints for it:
+// the bundle total, the price of the n-th item or the price from minQuantity.
+export const promoSchema = new mongoose.Schema({
+  mechanic: {
+    type: String,
+    enum: PROMO_MECHANICS
+  },
+  minQuantity: Number,
+  payQuantity: Number,
+  promoPrice: Number,
+  discountPercent: Number,
+  effectivePrice: Number,
+  label: String
+}, { _id: false });
 
 const extractedDataSchema = new mongoose.Schema({
   productName: String,
   price: Number,
   originalPrice: Number, 
+  // price is the regular price; the loyalty-card price is kept apart
+  regularPrice: Number,
+  cardPrice: Number,
+  cardProgram: String,
   pricePerUnit: Number,
+  quantity: quantitySchema,
+  unitPrice: unitPriceSchema,
   unit: String,
   currency: String,
   barcode: String,
   brand: String,
   composition: String,
   expiryDate: String,
+  expiresAt: Date,
+  // Validity of the promo or price as printed, and the dates read from it
+  promoPeriod: String,
+  promoStartsAt: Date,
+  promoEndsAt: Date,
+  printDate: String,
+  printedAt: Date,
   isPromo: Boolean,
   promoType: String, 
+  promo: promoSchema,
   discountPercent: Number,
   rawText: String
 }, { _id: false });
 
+// Where a stored image lives; the bytes themselves are kept by the storage backend
+export const imageRefSchema = new mongoose.Schema({
+  storage: {
+    type: String,
+    enum: ['gridfs', 'local']
+  },
+  key: String,
+  contentType: String,
+  size: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+const correctionSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  correctedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const ensembleOutputSchema = new mongoose.Schema({
+  model: String,
+  text: String,
+  parsed: mongoose.Schema.Types.Mixed,
+  processingTime: Number,
+  error: String
+}, { _id: false });
+
+const barcodeCheckDefinition = {
+  ocr: String,
+  decoded: String,
+  format: {
+    type: String,
+    enum: ['EAN-13', 'EAN-8', 'UPC-A']
+  },
+  source: {
+    type: String,
+    enum: ['decoded', 'ocr']
+  },
+  mismatch: Boolean
+};
+
+const ensembleDefinition = {
+  models: [String],
+  outputs: [ensembleOutputSchema],
+  agreement: mongoose.Schema.Types.Mixed,
+  disagreements: mongoose.Schema.Types.Mixed
+};
+
+const confidenceDefinition = {
+  score: Number,
+  fields: mongoose.Schema.Types.Mixed
+};
+
+const extractionDefinition = {
+  mode: {
+    type: String,
+    enum: ['template', 'json']
+  },
+  path: {
+    type: String,
+    enum: ['json', 'regex']
+  }
+};
+
+// Built-in prompts have version 0 and no templateId
+const promptDefinition = {
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromptTemplate'
+  },
+  name: String,
+  version: Number,
+  // Hints the prompt was rendered with
+  locale: String,
+  currency: String,
+  chain: String
+};
+
+// The recognition result of one OCR run. The record's own fields mirror the
+// accepted revision, so lists, filters and price history read them as before.
+export const REVISION_FIELDS = [
+  'originalText',
+  'extractedData',
+  'model',
+  'barcodeCheck',
+  'ensemble',
+  'confidence',
+  'needsReview',
+  'reviewReasons',
+  'extraction',
+  'prompt',
+  'preprocessing',
+  'processingTime'
+];
+
+const revisionSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    enum: ['scan', 'rescan'],
+    default: 'rescan'
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  originalText: String,
+  extractedData: extractedDataSchema,
+  model: String,
+  barcodeCheck: barcodeCheckDefinition,
+  ensemble: ensembleDefinition,
+  confidence: confidenceDefinition,
+  needsReview: Boolean,
+  reviewReasons: [String],
+  extraction: extractionDefinition,
+  prompt: promptDefinition,
+  preprocessing: [String],
+  processingTime: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const scanHistorySchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     index: true
   },
+  // Inline thumbnail of scans saved before images were stored; new scans
+  // keep only the references below
   imageData: {
     type: String 
   },
+  images: {
+    original: imageRefSchema,
+    enhanced: imageRefSchema
+  },
+  imageHash: {
+    type: String,
+    index: true
+  },
   originalText: {
     type: String,
     required: true
@@ -35,13 +228,46 @@ const scanHistorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    index: true
+  },
+  shelfScanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShelfScan',
+    index: true
+  },
+  boundingBox: {
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  },
   model: {
     type: String,
-    default: 'llava:34b'
+    index: true
+  },
+  barcodeCheck: barcodeCheckDefinition,
+  ensemble: ensembleDefinition,
+  confidence: confidenceDefinition,
+  needsReview: {
+    type: Boolean,
+    default: false,
+    index: true
   },
+  reviewReasons: [String],
+  corrections: [correctionSchema],
+  extraction: extractionDefinition,
+  prompt: promptDefinition,
+  preprocessing: [String],
   processingTime: {
     type: Number 
   },
+  revisions: [revisionSchema],
+  acceptedRevisionId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -51,5 +277,6 @@ const scanHistorySchema = new mongoose.Schema({
 
 
 scanHistorySchema.index({ originalText: 'text' });
+scanHistorySchema.index({ 'prompt.name': 1, 'prompt.version': 1 });
 
 export default mongoose.model('ScanHistory', scanHistorySchema);
@@ -0,0 +1,101 @@
+import mongoose from 'mongoose';
+
+export const JOB_STATUSES = ['queued', 'preprocessing', 'inferring', 'parsing', 'done', 'failed', 'cancelled'];
+export const ACTIVE_JOB_STATUSES = ['queued', 'preprocessing', 'inferring', 'parsing'];
+
+const scanJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued',
+    index: true
+  },
+  image: {
+    type: Buffer
+  },
+  mimetype: {
+    type: String
+  },
+  options: {
+    enhanceImage: {
+      type: Boolean,
+      default: false
+    },
+    preprocess: [String],
+    model: {
+      type: String
+    },
+    ensemble: [String],
+    extraction: {
+      type: String,
+      enum: ['template', 'json'],
+      default: 'template'
+    },
+    mode: {
+      type: String,
+      enum: ['single', 'shelf', 'rescan'],
+      default: 'single'
+    },
+    locale: String,
+    currency: String,
+    chain: String,
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store'
+    },
+    rescanOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScanHistory'
+    },
+    accept: {
+      type: Boolean
+    }
+  },
+  progress: {
+    current: Number,
+    total: Number
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  scanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanHistory'
+  },
+  error: {
+    type: String
+  },
+  // Why the job failed, when known: CIRCUIT_OPEN or MODEL_NOT_FOUND
+  errorCode: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date,
+    expires: 7 * 24 * 60 * 60
+  }
+});
+
+scanJobSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.image;
+  return obj;
+};
+
+export default mongoose.model('ScanJob', scanJobSchema);
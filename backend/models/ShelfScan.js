@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import { imageRefSchema } from './ScanHistory.js';
+
+const shelfScanSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  imageRef: imageRefSchema,
+  mimetype: {
+    type: String
+  },
+  width: Number,
+  height: Number,
+  detector: {
+    type: String,
+    enum: ['model', 'heuristic', 'none']
+  },
+  scans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ScanHistory'
+  }],
+  model: {
+    type: String
+  },
+  processingTime: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+shelfScanSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.image;
+  return obj;
+};
+
+export default mongoose.model('ShelfScan', shelfScanSchema);
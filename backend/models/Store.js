@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A shop of a retail chain. chain is the same lowercase key the prompt
+// templates are selected by, so a scan in a known store picks the chain prompt.
+const storeSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  // GeoJSON point, [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+storeSchema.index({ location: '2dsphere' });
+
+storeSchema.pre('save', function() {
+  this.updatedAt = new Date();
+});
+
+// The API speaks latitude and longitude rather than GeoJSON
+storeSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  const [longitude, latitude] = this.location?.coordinates || [];
+  obj.latitude = latitude ?? null;
+  obj.longitude = longitude ?? null;
+  delete obj.location;
+  return obj;
+};
+
+export default mongoose.model('Store', storeSchema);
@@ -22,6 +22,20 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  defaultModel: {
+    type: String,
+    trim: true
+  },
+  // Used for scans that do not name a store
+  lastStoreId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
   createdAt: {
     type: Date,
     default: Date.now
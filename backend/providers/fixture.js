@@ -0,0 +1,59 @@
+import fs from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const createFixtureProvider = () => {
+  const fixturesDir = process.env.OCR_FIXTURES_DIR || join(__dirname, '..', 'fixtures', 'ocr');
+  const defaultModel = 'fixture';
+
+  // Responses are looked up by the SHA-256 of the image bytes the provider
+  // receives, with default.txt as the answer for every unknown image.
+  const readFixture = async (name) => {
+    try {
+      return await fs.readFile(join(fixturesDir, name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'fixture',
+    defaultModel,
+
+    async recognize({ image, signal }) {
+      signal?.throwIfAborted();
+      const hash = createHash('sha256').update(image).digest('hex');
+      const text = await readFixture(`${hash}.txt`) ?? await readFixture('default.txt');
+
+      if (text === null) {
+        throw new Error(`No OCR fixture for image ${hash} in ${fixturesDir}`);
+      }
+
+      return { text, model: defaultModel };
+    },
+
+    async listModels() {
+      return [{ name: defaultModel }];
+    },
+
+    async warmup() {},
+
+    async unload() {},
+
+    async health() {
+      return {
+        reachable: true,
+        model: defaultModel,
+        modelAvailable: true,
+        modelLoaded: true
+      };
+    }
+  };
+};
+
+export default createFixtureProvider;
@@ -0,0 +1,27 @@
+import { createOllamaProvider } from './ollama.js';
+import { createTesseractProvider } from './tesseract.js';
+import { createFixtureProvider } from './fixture.js';
+
+const factories = {
+  ollama: createOllamaProvider,
+  tesseract: createTesseractProvider,
+  fixture: createFixtureProvider
+};
+
+let provider = null;
+
+export const getProvider = () => {
+  if (!provider) {
+    const name = (process.env.OCR_PROVIDER || 'ollama').toLowerCase();
+    const factory = factories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown OCR provider "${name}", expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+export default getProvider;
@@ -0,0 +1,177 @@
+import { Ollama } from 'ollama';
+import { fetch as undiciFetch, Agent } from 'undici';
+
+import { withRetry } from '../utils/retry.js';
+import { createCircuitBreaker } from '../utils/circuitBreaker.js';
+
+export const VISION_MODEL_PATTERNS = [
+  'qwen2.5vl',
+  'qwen2-vl',
+  'llava:34b',
+  'llava-llama3',
+  'minicpm-v',
+  'internvl2'
+];
+
+const DETECT_PROMPT = `Find every price tag on this shelf photo. Return JSON only, in the form {"tags": [{"x": 0, "y": 0, "width": 0, "height": 0}]}, where x and y are the top-left corner and all values are percentages (0-100) of the image width and height. Return {"tags": []} if there are no price tags.`;
+
+const parseRegions = (text) => {
+  const data = JSON.parse(text);
+  const tags = Array.isArray(data) ? data : data.tags;
+  if (!Array.isArray(tags)) return [];
+
+  return tags
+    .map(t => ({
+      x: Number(t.x) / 100,
+      y: Number(t.y) / 100,
+      width: Number(t.width) / 100,
+      height: Number(t.height) / 100
+    }))
+    .filter(r => [r.x, r.y, r.width, r.height].every(Number.isFinite) && r.width > 0 && r.height > 0);
+};
+
+const HEALTH_TIMEOUT = 3000;
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Network errors and 5xx answers are worth retrying; a 404 for an unknown
+// model or a cancelled request is not, and doesn't mean Ollama is down.
+const isTransient = (error) => {
+  if (error.name === 'AbortError') return false;
+  return error.status_code === undefined || error.status_code >= 500;
+};
+
+const sameModel = (name, model) => name === model || name === `${model}:latest`;
+
+export const createOllamaProvider = () => {
+  const agent = new Agent({
+    headersTimeout: 10 * 60 * 1000,
+    bodyTimeout: 10 * 60 * 1000,
+    connectTimeout: 30 * 1000,
+  });
+
+  const createClient = (signal) => new Ollama({
+    host: process.env.OLLAMA_HOST,
+    fetch: (url, options) => undiciFetch(url, {
+      ...options,
+      signal: signal ?? options?.signal,
+      dispatcher: agent
+    })
+  });
+
+  const client = createClient();
+
+  const defaultModel = process.env.OLLAMA_MODEL || 'qwen2.5vl:72b';
+
+  const retryOptions = {
+    retries: intFromEnv('OLLAMA_RETRIES', 2),
+    baseDelay: intFromEnv('OLLAMA_RETRY_DELAY', 1000)
+  };
+
+  const breaker = createCircuitBreaker({
+    name: 'Ollama',
+    failureThreshold: intFromEnv('OLLAMA_BREAKER_THRESHOLD', 5),
+    resetTimeout: intFromEnv('OLLAMA_BREAKER_RESET', 30000),
+    isFailure: isTransient
+  });
+
+  // Every Ollama call goes through the breaker, so scans fail at once while
+  // Ollama is down instead of each waiting out its own retries. Ollama answers
+  // 404 for a model that is not installed.
+  const call = (signal, fn) => breaker.execute(() => withRetry(() => fn(createClient(signal)), {
+    ...retryOptions,
+    signal,
+    shouldRetry: isTransient,
+    onRetry: (error, attempt, delay) => console.warn(`Ollama request failed (${error.message}), retry ${attempt} in ${delay}ms`)
+  })).catch((error) => {
+    if (error.status_code === 404) error.code = 'MODEL_NOT_FOUND';
+    throw error;
+  });
+
+  // Only the default model stays pinned in memory, models picked per request
+  // fall back to Ollama's own keep-alive so an A/B run doesn't pin them all.
+  const keepAliveFor = (model) => (model === defaultModel ? -1 : undefined);
+
+  return {
+    name: 'ollama',
+    defaultModel,
+
+    async recognize({ image, prompt, format, model = defaultModel, signal }) {
+      const response = await call(signal, c => c.generate({
+        model,
+        prompt,
+        format,
+        images: [image.toString('base64')],
+        keep_alive: keepAliveFor(model),
+        options: {
+          temperature: 0.1,
+          num_ctx: 4096,
+        }
+      }));
+
+      return { text: response.response, model };
+    },
+
+    async detectRegions({ image, model = defaultModel, signal }) {
+      const response = await call(signal, c => c.generate({
+        model,
+        prompt: DETECT_PROMPT,
+        images: [image.toString('base64')],
+        format: 'json',
+        keep_alive: keepAliveFor(model),
+        options: {
+          temperature: 0,
+          num_ctx: 4096,
+        }
+      }));
+
+      return parseRegions(response.response);
+    },
+
+    async listModels() {
+      const models = await call(undefined, c => c.list());
+      return models.models.filter(m =>
+        VISION_MODEL_PATTERNS.some(pattern => m.name.includes(pattern))
+      );
+    },
+
+    async warmup(model = defaultModel) {
+      await call(undefined, c => c.generate({ model, prompt: '', keep_alive: -1 }));
+    },
+
+    async unload(model = defaultModel) {
+      await client.generate({ model, prompt: '', keep_alive: 0 });
+    },
+
+    // Probes Ollama directly, bypassing retries and the breaker
+    async health() {
+      const probe = createClient(AbortSignal.timeout(HEALTH_TIMEOUT));
+
+      try {
+        const [{ version }, installed, running] = await Promise.all([probe.version(), probe.list(), probe.ps()]);
+        return {
+          reachable: true,
+          version,
+          model: defaultModel,
+          modelAvailable: installed.models.some(m => sameModel(m.name, defaultModel)),
+          modelLoaded: running.models.some(m => sameModel(m.name, defaultModel)),
+          circuit: breaker.getState()
+        };
+      } catch (error) {
+        return {
+          reachable: false,
+          model: defaultModel,
+          modelAvailable: false,
+          modelLoaded: false,
+          circuit: breaker.getState(),
+          error: error.message
+        };
+      }
+    }
+  };
+};
+
+export default createOllamaProvider;
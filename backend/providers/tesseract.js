@@ -0,0 +1,57 @@
+export const createTesseractProvider = () => {
+  const langs = process.env.TESSERACT_LANGS || 'rus+eng';
+  const defaultModel = `tesseract:${langs}`;
+
+  // tesseract.js is loaded on first use so the Ollama setup never pays for it
+  let workerPromise = null;
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(langs))
+        .catch((error) => {
+          workerPromise = null;
+          throw error;
+        });
+    }
+    return workerPromise;
+  };
+
+  return {
+    name: 'tesseract',
+    defaultModel,
+
+    async recognize({ image, signal }) {
+      signal?.throwIfAborted();
+      const worker = await getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: data.text, model: defaultModel };
+    },
+
+    async listModels() {
+      return [{ name: defaultModel }];
+    },
+
+    async warmup() {
+      await getWorker();
+    },
+
+    async unload() {
+      if (!workerPromise) return;
+      const worker = await workerPromise;
+      workerPromise = null;
+      await worker.terminate();
+    },
+
+    async health() {
+      return {
+        reachable: true,
+        model: defaultModel,
+        modelAvailable: true,
+        modelLoaded: workerPromise !== null
+      };
+    }
+  };
+};
+
+export default createTesseractProvider;
@@ -1,6 +1,9 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Store from '../models/Store.js';
 import { generateToken, auth } from '../middleware/auth.js';
+import { findAvailableModel } from '../services/models.js';
 
 const router = express.Router();
 
@@ -209,6 +212,86 @@ router.get('/me', auth, async (req, res) => {
   res.json({ user: req.user.toJSON() });
 });
 
+/**
+ * @swagger
+ * /api/auth/me:
+ *   patch:
+ *     summary: Обновить настройки текущего пользователя
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               defaultModel:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Модель для сканирования по умолчанию, null — сбросить
+ *                 example: qwen2.5vl:72b
+ *               lastStoreId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Магазин для сканирований без storeId, null — сбросить
+ *     responses:
+ *       200:
+ *         description: Настройки сохранены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Модель недоступна или магазин не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Не авторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/me', auth, async (req, res) => {
+  try {
+    const { defaultModel, lastStoreId } = req.body || {};
+
+    if (defaultModel === null || defaultModel === '') {
+      req.user.defaultModel = undefined;
+    } else if (defaultModel !== undefined) {
+      const model = typeof defaultModel === 'string' ? await findAvailableModel(defaultModel.trim()) : null;
+      if (!model) {
+        return res.status(400).json({ error: 'Модель недоступна' });
+      }
+      req.user.defaultModel = model;
+    }
+
+    if (lastStoreId === null || lastStoreId === '') {
+      req.user.lastStoreId = undefined;
+    } else if (lastStoreId !== undefined) {
+      const store = mongoose.isValidObjectId(lastStoreId) ? await Store.exists({ _id: lastStoreId }) : null;
+      if (!store) {
+        return res.status(400).json({ error: 'Магазин не найден' });
+      }
+      req.user.lastStoreId = store._id;
+    }
+
+    await req.user.save();
+
+    res.json({ user: req.user.toJSON() });
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({ error: 'Ошибка сохранения настроек' });
+  }
+});
+
 /**
  * @swagger
  * /api/auth/logout:
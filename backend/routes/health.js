@@ -0,0 +1,100 @@
+import express from 'express';
+import { readFileSync } from 'fs';
+import { getDatabaseStatus } from '../db.js';
+import { getProvider } from '../providers/index.js';
+import { getQueueStats } from '../services/scanQueue.js';
+
+const router = express.Router();
+
+const pkg = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+const startedAt = new Date();
+
+const getVersionInfo = () => ({
+  name: pkg.name,
+  version: pkg.version,
+  commit: process.env.GIT_COMMIT || null,
+  node: process.version,
+  startedAt,
+  uptime: Math.round(process.uptime())
+});
+
+// Ready means a scan can succeed right now: the database is connected, the
+// OCR backend answers, has the configured model and its breaker isn't open.
+const collectStatus = async () => {
+  const provider = getProvider();
+  const database = getDatabaseStatus();
+  const ocr = await provider.health();
+
+  const ready = database.connected &&
+    ocr.reachable &&
+    ocr.modelAvailable &&
+    ocr.circuit?.state !== 'open';
+
+  return {
+    status: ready ? 'ok' : 'degraded',
+    ready,
+    dependencies: {
+      mongodb: database,
+      ocr: { provider: provider.name, ...ocr }
+    },
+    queue: getQueueStats(),
+    version: getVersionInfo()
+  };
+};
+
+/**
+ * @swagger
+ * /api/health:
+ *   get:
+ *     summary: Состояние сервиса и зависимостей
+ *     description: Всегда отвечает 200, пока процесс жив. Состояние MongoDB, OCR-провайдера и очереди — в теле ответа.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Состояние сервиса
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthStatus'
+ */
+router.get('/health', async (req, res) => {
+  try {
+    res.json(await collectStatus());
+  } catch (error) {
+    console.error('Health check error:', error);
+    res.json({ status: 'degraded', ready: false, error: error.message, version: getVersionInfo() });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ready:
+ *   get:
+ *     summary: Готовность принимать сканирования
+ *     description: 200, если MongoDB подключена, OCR-провайдер доступен, модель установлена и предохранитель не разомкнут, иначе 503.
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Сервис готов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthStatus'
+ *       503:
+ *         description: Сервис не готов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HealthStatus'
+ */
+router.get('/ready', async (req, res) => {
+  try {
+    const status = await collectStatus();
+    res.status(status.ready ? 200 : 503).json(status);
+  } catch (error) {
+    console.error('Readiness check error:', error);
+    res.status(503).json({ status: 'degraded', ready: false, error: error.message, version: getVersionInfo() });
+  }
+});
+
+export default router;
@@ -1,9 +1,189 @@
 import express from 'express';
 import ScanHistory from '../models/ScanHistory.js';
+import ShelfScan from '../models/ShelfScan.js';
 import { auth, optionalAuth } from '../middleware/auth.js';
+import { containsPattern, escapeRegExp } from '../utils/query.js';
+import { normalizeGtin } from '../utils/gtin.js';
+import { findDuplicateClusters } from '../services/dedup.js';
+import { removeScanPricePoint, syncScanPricePoint } from '../services/priceHistory.js';
+import { SUPPORTED_CURRENCIES } from '../utils/parser.js';
+import { parseDate, parsePeriod } from '../utils/dates.js';
+import { computeUnitPrice, parseQuantity } from '../utils/quantity.js';
+import { parsePromo, withEffectivePrice, PROMO_MECHANICS } from '../utils/promo.js';
+import { enqueueScanJob, getQueueStats, waitForScanJob } from '../services/scanQueue.js';
+import { parseScanOptions, resolveEnsembleModels, resolveScanModel } from '../services/scanOptions.js';
+import { acceptRevision } from '../services/revisions.js';
+import { IMAGE_VARIANTS, decodeDataUrl, parseImageSize, readImage, removeImages, renderImageVariant } from '../services/imageStore.js';
 
 const router = express.Router();
 
+const isPositivePrice = (value) => typeof value === 'number' && value > 0 && value < 1000000;
+
+const CORRECTABLE_FIELDS = {
+  productName: (value) => typeof value === 'string' && value.trim() !== '',
+  price: isPositivePrice,
+  originalPrice: isPositivePrice,
+  cardPrice: isPositivePrice,
+  cardProgram: (value) => typeof value === 'string',
+  pricePerUnit: isPositivePrice,
+  quantity: (value) => parseQuantity(value) !== null,
+  currency: (value) => SUPPORTED_CURRENCIES.includes(value),
+  unit: (value) => typeof value === 'string',
+  barcode: (value) => normalizeGtin(value) !== null,
+  brand: (value) => typeof value === 'string',
+  composition: (value) => typeof value === 'string',
+  expiryDate: (value) => typeof value === 'string',
+  promoPeriod: (value) => typeof value === 'string',
+  printDate: (value) => typeof value === 'string',
+  isPromo: (value) => typeof value === 'boolean',
+  promoType: (value) => typeof value === 'string',
+  promo: (value) => parsePromo(value) !== null,
+  discountPercent: (value) => typeof value === 'number' && value >= 1 && value <= 99
+};
+
+const REQUIRED_FIELDS = ['productName', 'isPromo'];
+
+// Values sent as text and stored in their parsed form
+const CORRECTION_PARSERS = {
+  barcode: normalizeGtin,
+  quantity: parseQuantity,
+  promo: parsePromo
+};
+
+const UNIT_PRICE_INPUTS = ['price', 'quantity', 'pricePerUnit', 'unit'];
+
+// Picks the known extractedData fields out of the request body. null clears
+// a field; anything that does not pass its check rejects the whole request.
+const parseCorrections = (body) => {
+  const changes = {};
+
+  for (const [field, isValid] of Object.entries(CORRECTABLE_FIELDS)) {
+    if (!(field in body)) continue;
+
+    const value = body[field];
+    if (value === null && !REQUIRED_FIELDS.includes(field)) {
+      changes[field] = null;
+    } else if (isValid(value)) {
+      changes[field] = CORRECTION_PARSERS[field] ? CORRECTION_PARSERS[field](value) : value;
+    } else {
+      return { error: `Некорректное значение поля ${field}` };
+    }
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Нет полей для исправления' };
+  }
+
+  return { changes };
+};
+
+const BULK_RESCAN_LIMIT = 100;
+
+// A re-scan takes the same options as a new scan, plus accept
+const resolveRescanOptions = async (req, res) => {
+  const scanOptions = parseScanOptions(req.body);
+  if (!scanOptions.preprocess) {
+    res.status(400).json({ error: 'Неизвестный пресет или шаг предобработки' });
+    return null;
+  }
+
+  const ensemble = await resolveEnsembleModels(req, res);
+  if (!ensemble) return null;
+
+  const model = ensemble.length > 0 ? ensemble[0] : await resolveScanModel(req, res);
+  if (!model) return null;
+
+  return {
+    ...scanOptions,
+    mode: 'rescan',
+    model,
+    ensemble,
+    accept: req.body.accept === true || req.body.accept === 'true'
+  };
+};
+
+// Filters shared by the history list and the bulk re-scan
+const buildHistoryQuery = (filters, user) => {
+  const {
+    search,
+    startDate,
+    endDate,
+    minPrice,
+    maxPrice,
+    isPromo,
+    promoMechanic,
+    barcode,
+    model,
+    brand,
+    composition,
+    expiresAfter,
+    expiresBefore
+  } = filters;
+
+  const query = {};
+
+
+  if (user) {
+    query.userId = user._id;
+  } else {
+
+    query.userId = { $exists: false };
+  }
+
+
+  if (search) {
+    query.$text = { $search: search };
+  }
+
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(endDate);
+  }
+
+
+  if (minPrice || maxPrice) {
+    query['extractedData.price'] = {};
+    if (minPrice) query['extractedData.price'].$gte = parseFloat(minPrice);
+    if (maxPrice) query['extractedData.price'].$lte = parseFloat(maxPrice);
+  }
+
+
+  if (String(isPromo) === 'true') {
+    query['extractedData.isPromo'] = true;
+  }
+
+  if (PROMO_MECHANICS.includes(promoMechanic)) {
+    query['extractedData.promo.mechanic'] = promoMechanic;
+  }
+
+
+  if (barcode) {
+    query['extractedData.barcode'] = normalizeGtin(barcode) || barcode;
+  }
+
+  if (model) {
+    query.model = model;
+  }
+
+  if (brand) {
+    query['extractedData.brand'] = containsPattern(brand);
+  }
+
+  if (composition) {
+    query['extractedData.composition'] = containsPattern(composition);
+  }
+
+  if (expiresAfter || expiresBefore) {
+    query['extractedData.expiresAt'] = {};
+    if (expiresAfter) query['extractedData.expiresAt'].$gte = new Date(expiresAfter);
+    if (expiresBefore) query['extractedData.expiresAt'].$lte = new Date(expiresBefore);
+  }
+
+  return query;
+};
+
 /**
  * @swagger
  * /api/history:
@@ -28,153 +208,836 @@ const router = express.Router();
  *         name: endDate
  *         schema:
  *           type: string
- *           format: date
- *         description: Дата окончания фильтра
- *       - in: query
- *         name: minPrice
- *         schema:
- *           type: number
- *         description: Минимальная цена
- *       - in: query
- *         name: maxPrice
- *         schema:
- *           type: number
- *         description: Максимальная цена
- *       - in: query
- *         name: isPromo
- *         schema:
- *           type: boolean
- *         description: Только акционные товары
+ *           format: date
+ *         description: Дата окончания фильтра
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *         description: Минимальная цена
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *         description: Максимальная цена
+ *       - in: query
+ *         name: isPromo
+ *         schema:
+ *           type: boolean
+ *         description: Только акционные товары
+ *       - in: query
+ *         name: promoMechanic
+ *         schema:
+ *           type: string
+ *           enum: [n_for_m, bundle_price, nth_item_price, nth_item_discount, min_quantity]
+ *         description: Только сканы с акцией этого типа
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *         description: Фильтр по штрих-коду
+ *       - in: query
+ *         name: model
+ *         schema:
+ *           type: string
+ *         description: Фильтр по модели распознавания
+ *       - in: query
+ *         name: brand
+ *         schema:
+ *           type: string
+ *         description: Фильтр по бренду (подстрока)
+ *       - in: query
+ *         name: composition
+ *         schema:
+ *           type: string
+ *         description: Фильтр по составу (подстрока)
+ *       - in: query
+ *         name: expiresAfter
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Срок годности не раньше даты
+ *       - in: query
+ *         name: expiresBefore
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Срок годности не позже даты
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Количество записей на странице
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: '-createdAt'
+ *         description: Сортировка
+ *     responses:
+ *       200:
+ *         description: Список сканирований
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScanResult'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, sort = '-createdAt' } = req.query;
+    const query = buildHistoryQuery(req.query, req.user);
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [items, total] = await Promise.all([
+      ScanHistory.find(query)
+        .select('-revisions')
+        .sort(sort)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('productId', 'name barcode priceHistory'),
+      ScanHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('History error:', error);
+    res.status(500).json({ error: 'Ошибка получения истории' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/review:
+ *   get:
+ *     summary: Очередь сканирований на проверку
+ *     description: Сканирования с низкой уверенностью распознавания, сначала самые сомнительные.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Только сканирования, где под сомнением это поле (например, price)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Номер страницы
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Количество на странице
+ *     responses:
+ *       200:
+ *         description: Сканирования на проверку
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ScanResult'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/review', optionalAuth, async (req, res) => {
+  try {
+    const { field, page = 1, limit = 20 } = req.query;
+
+    const query = {
+      userId: req.user ? req.user._id : { $exists: false },
+      needsReview: true
+    };
+
+    if (field) {
+      query.reviewReasons = new RegExp(`^${escapeRegExp(field)}:`);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [items, total] = await Promise.all([
+      ScanHistory.find(query)
+        .sort({ 'confidence.score': 1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ScanHistory.countDocuments(query)
+    ]);
+
+    res.json({
+      items,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Review queue error:', error);
+    res.status(500).json({ error: 'Ошибка получения очереди проверки' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/duplicates:
+ *   get:
+ *     summary: Найти группы повторно загруженных фото
+ *     description: Группирует сканирования с почти одинаковым перцептивным хешем изображения. Сравниваются только последние 1000 сканирований с хешем.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Группы дубликатов
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 checked:
+ *                   type: integer
+ *                   description: Сколько сканирований сравнивалось
+ *                 limit:
+ *                   type: integer
+ *                   description: Наибольшее число сравниваемых сканирований
+ *                 clusters:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       imageHash:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       firstScannedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastScannedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       scans:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             _id:
+ *                               type: string
+ *                             imageHash:
+ *                               type: string
+ *                             createdAt:
+ *                               type: string
+ *                               format: date-time
+ *                             model:
+ *                               type: string
+ *                             extractedData:
+ *                               type: object
+ *                               properties:
+ *                                 productName:
+ *                                   type: string
+ *                                 price:
+ *                                   type: number
+ *                                 currency:
+ *                                   type: string
+ *                             thumbnailUrl:
+ *                               type: string
+ *                               example: /api/history/665f1c2e9a1b2c3d4e5f6789/image?variant=thumbnail
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/duplicates', optionalAuth, async (req, res) => {
+  try {
+    res.json(await findDuplicateClusters(req.user?._id));
+  } catch (error) {
+    console.error('Duplicates error:', error);
+    res.status(500).json({ error: 'Ошибка поиска дубликатов' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/rescan:
+ *   post:
+ *     summary: Повторно распознать несколько сканирований
+ *     description: Ставит в очередь повторное распознавание сканирований, подходящих под фильтр (те же поля, что у GET /api/history). Учитываются только записи с сохранённым оригиналом. Состояние задач — через GET /api/scan/jobs/{id}.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/RescanOptions'
+ *               - type: object
+ *                 properties:
+ *                   filter:
+ *                     type: object
+ *                     description: "Фильтр истории с теми же полями, что у GET /api/history"
+ *                   limit:
+ *                     type: integer
+ *                     default: 20
+ *                     maximum: 100
+ *                   sort:
+ *                     type: string
+ *                     default: -createdAt
+ *     responses:
+ *       202:
+ *         description: Задачи поставлены в очередь
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       scanId:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                 matched:
+ *                   type: integer
+ *                   description: Всего подходящих записей, включая не попавшие в limit
+ *                 queue:
+ *                   type: object
+ *       400:
+ *         description: Некорректные параметры
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Не авторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/rescan', auth, async (req, res) => {
+  try {
+    req.body = req.body || {};
+
+    const options = await resolveRescanOptions(req, res);
+    if (!options) return;
+
+    const limit = Math.min(parseInt(req.body.limit) || 20, BULK_RESCAN_LIMIT);
+    const query = {
+      ...buildHistoryQuery(req.body.filter || {}, req.user),
+      'images.original.key': { $exists: true }
+    };
+
+    const [scans, matched] = await Promise.all([
+      ScanHistory.find(query)
+        .select('_id')
+        .sort(req.body.sort || '-createdAt')
+        .limit(limit),
+      ScanHistory.countDocuments(query)
+    ]);
+
+    const jobs = [];
+    for (const scan of scans) {
+      const job = await enqueueScanJob({
+        userId: req.user._id,
+        options: { ...options, rescanOf: scan._id }
+      });
+      jobs.push({ id: job._id, scanId: scan._id, status: job.status });
+    }
+
+    res.status(202).json({ jobs, matched, queue: getQueueStats() });
+  } catch (error) {
+    console.error('Bulk rescan error:', error);
+    res.status(500).json({ error: 'Ошибка постановки в очередь', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/shelves/{id}:
+ *   get:
+ *     summary: Получить сканирование полки с найденными ценниками
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования полки
+ *     responses:
+ *       200:
+ *         description: Сканирование полки
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ShelfScan'
+ *       404:
+ *         description: Запись не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/shelves/:id', optionalAuth, async (req, res) => {
+  try {
+    const shelf = await ShelfScan.findById(req.params.id)
+      .populate('scans');
+
+    if (!shelf) {
+      return res.status(404).json({ error: 'Запись не найдена' });
+    }
+
+    if (shelf.userId && (!req.user || !shelf.userId.equals(req.user._id))) {
+      return res.status(403).json({ error: 'Нет доступа' });
+    }
+
+    res.json(shelf);
+  } catch (error) {
+    console.error('Get shelf scan error:', error);
+    res.status(500).json({ error: 'Ошибка получения записи' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/shelves/{id}/image:
+ *   get:
+ *     summary: Получить изображение полки
+ *     description: Полное изображение отдаётся как было сохранено, миниатюра и уменьшенные копии собираются на лету в JPEG.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования полки
+ *       - in: query
+ *         name: variant
+ *         schema:
+ *           type: string
+ *           enum: [original, thumbnail]
+ *           default: original
+ *         description: Полное изображение или миниатюра
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           minimum: 16
+ *           maximum: 4096
+ *         description: Максимальная сторона в пикселях
+ *     responses:
+ *       200:
+ *         description: Изображение
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Некорректные параметры
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Запись не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/shelves/:id/image', optionalAuth, async (req, res) => {
+  try {
+    const variant = req.query.variant || 'original';
+    if (variant !== 'original' && variant !== 'thumbnail') {
+      return res.status(400).json({ error: `Неизвестный вариант изображения: ${variant}` });
+    }
+
+    const size = parseImageSize(req.query.size);
+    if (Number.isNaN(size)) {
+      return res.status(400).json({ error: 'Некорректный размер изображения' });
+    }
+
+    const shelf = await ShelfScan.findById(req.params.id);
+
+    if (!shelf) {
+      return res.status(404).json({ error: 'Запись не найдена' });
+    }
+
+    if (shelf.userId && (!req.user || !shelf.userId.equals(req.user._id))) {
+      return res.status(403).json({ error: 'Нет доступа' });
+    }
+
+    const buffer = await readImage(shelf.imageRef);
+    if (!buffer) {
+      return res.status(404).json({ error: 'Изображение не найдено' });
+    }
+
+    const rendered = await renderImageVariant(buffer, { contentType: shelf.mimetype, variant, size });
+
+    res.type(rendered.contentType).send(rendered.buffer);
+  } catch (error) {
+    console.error('Get shelf image error:', error);
+    res.status(500).json({ error: 'Ошибка получения изображения' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/{id}/rescan:
+ *   post:
+ *     summary: Повторно распознать сканирование
+ *     description: Распознаёт сохранённый оригинал заново и добавляет результат в revisions той же записи. Данные записи и история цен меняются, только если ревизия принята (accept=true или POST /api/history/{id}/revisions/{revisionId}/accept).
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RescanOptions'
+ *     responses:
+ *       200:
+ *         description: Результат повторного распознавания
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 revisionId:
+ *                   type: string
+ *                 accepted:
+ *                   type: boolean
+ *                 parsed:
+ *                   $ref: '#/components/schemas/ParsedData'
+ *                 confidence:
+ *                   $ref: '#/components/schemas/Confidence'
+ *                 jobId:
+ *                   type: string
+ *       400:
+ *         description: Некорректные параметры или модель недоступна
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Запись не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Оригинал изображения не сохранён
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: OCR-сервис недоступен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/rescan', auth, async (req, res) => {
+  try {
+    req.body = req.body || {};
+
+    const scan = await ScanHistory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    }).select('images');
+
+    if (!scan) {
+      return res.status(404).json({ error: 'Запись не найдена' });
+    }
+
+    if (!scan.images?.original?.key) {
+      return res.status(409).json({ error: 'Оригинал изображения не сохранён, повторное распознавание невозможно' });
+    }
+
+    const options = await resolveRescanOptions(req, res);
+    if (!options) return;
+
+    const job = await enqueueScanJob({
+      userId: req.user._id,
+      options: { ...options, rescanOf: scan._id }
+    });
+
+    const settled = await waitForScanJob(job._id);
+
+    if (settled?.job.status === 'done') {
+      return res.json({ ...settled.result, jobId: job._id });
+    }
+
+    const message = settled?.job.error || 'Scan was cancelled';
+    const code = settled?.job.errorCode;
+
+    if (code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({ error: 'OCR-сервис недоступен', details: message });
+    }
+
+    if (code === 'MODEL_NOT_FOUND') {
+      return res.status(400).json({ error: 'Модель не найдена', details: message });
+    }
+
+    res.status(500).json({ error: 'Ошибка повторного распознавания', details: message });
+  } catch (error) {
+    console.error('Rescan error:', error);
+    res.status(500).json({ error: 'Ошибка повторного распознавания', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/{id}/revisions/{revisionId}/accept:
+ *   post:
+ *     summary: Принять ревизию сканирования
+ *     description: Переносит данные ревизии в запись и обновляет историю цен товара.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID ревизии
+ *     responses:
+ *       200:
+ *         description: Обновлённая запись
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanResult'
+ *       404:
+ *         description: Запись или ревизия не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/revisions/:revisionId/accept', auth, async (req, res) => {
+  try {
+    const scan = await ScanHistory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!scan) {
+      return res.status(404).json({ error: 'Запись не найдена' });
+    }
+
+    const revision = scan.revisions.id(req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Ревизия не найдена' });
+    }
+
+    await acceptRevision(scan, revision);
+    await scan.save();
+
+    res.json(scan);
+  } catch (error) {
+    console.error('Accept revision error:', error);
+    res.status(500).json({ error: 'Ошибка принятия ревизии' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/{id}/image:
+ *   get:
+ *     summary: Получить изображение сканирования
+ *     description: Оригинал отдаётся как был загружен. Миниатюра и уменьшенные копии собираются на лету в JPEG.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования
  *       - in: query
- *         name: barcode
+ *         name: variant
  *         schema:
  *           type: string
- *         description: Фильтр по штрих-коду
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Номер страницы
+ *           enum: [original, enhanced, thumbnail]
+ *           default: original
+ *         description: Оригинал, изображение после предобработки или миниатюра
  *       - in: query
- *         name: limit
+ *         name: size
  *         schema:
  *           type: integer
- *           default: 20
- *         description: Количество записей на странице
- *       - in: query
- *         name: sort
- *         schema:
- *           type: string
- *           default: '-createdAt'
- *         description: Сортировка
+ *           minimum: 16
+ *           maximum: 4096
+ *         description: Максимальная сторона в пикселях
  *     responses:
  *       200:
- *         description: Список сканирований
+ *         description: Изображение
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Некорректные параметры
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 items:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/ScanResult'
- *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     pages:
- *                       type: integer
- *       500:
- *         description: Ошибка сервера
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Запись или изображение не найдены
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', optionalAuth, async (req, res) => {
+router.get('/:id/image', optionalAuth, async (req, res) => {
   try {
-    const {
-      search,
-      startDate,
-      endDate,
-      minPrice,
-      maxPrice,
-      isPromo,
-      barcode,
-      page = 1,
-      limit = 20,
-      sort = '-createdAt'
-    } = req.query;
-
-    const query = {};
-
-    
-    if (req.user) {
-      query.userId = req.user._id;
-    } else {
-      
-      query.userId = { $exists: false };
+    const variant = req.query.variant || 'original';
+    if (!IMAGE_VARIANTS.includes(variant)) {
+      return res.status(400).json({ error: `Неизвестный вариант изображения: ${variant}` });
     }
 
-    
-    if (search) {
-      query.$text = { $search: search };
+    const size = parseImageSize(req.query.size);
+    if (Number.isNaN(size)) {
+      return res.status(400).json({ error: 'Некорректный размер изображения' });
     }
 
-    
-    if (startDate || endDate) {
-      query.createdAt = {};
-      if (startDate) query.createdAt.$gte = new Date(startDate);
-      if (endDate) query.createdAt.$lte = new Date(endDate);
-    }
+    const scan = await ScanHistory.findById(req.params.id).select('userId images imageData');
 
-    
-    if (minPrice || maxPrice) {
-      query['extractedData.price'] = {};
-      if (minPrice) query['extractedData.price'].$gte = parseFloat(minPrice);
-      if (maxPrice) query['extractedData.price'].$lte = parseFloat(maxPrice);
+    if (!scan) {
+      return res.status(404).json({ error: 'Запись не найдена' });
     }
 
-    
-    if (isPromo === 'true') {
-      query['extractedData.isPromo'] = true;
+    if (scan.userId && (!req.user || !scan.userId.equals(req.user._id))) {
+      return res.status(403).json({ error: 'Нет доступа' });
     }
 
-    
-    if (barcode) {
-      query['extractedData.barcode'] = barcode;
+    // Thumbnails are cut from the original; scans saved before images were
+    // stored only have the inline thumbnail
+    const ref = scan.images?.[variant === 'enhanced' ? 'enhanced' : 'original'];
+    let buffer = await readImage(ref);
+    let contentType = ref?.contentType;
+
+    if (!buffer && variant === 'thumbnail') {
+      ({ buffer, contentType } = decodeDataUrl(scan.imageData) || {});
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    if (!buffer) {
+      return res.status(404).json({ error: 'Изображение не найдено' });
+    }
 
-    const [items, total] = await Promise.all([
-      ScanHistory.find(query)
-        .sort(sort)
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('productId', 'name barcode priceHistory'),
-      ScanHistory.countDocuments(query)
-    ]);
+    const rendered = await renderImageVariant(buffer, { contentType, variant, size });
 
-    res.json({
-      items,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
-    });
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(rendered.contentType).send(rendered.buffer);
   } catch (error) {
-    console.error('History error:', error);
-    res.status(500).json({ error: 'Ошибка получения истории' });
+    console.error('Get scan image error:', error);
+    res.status(500).json({ error: 'Ошибка получения изображения' });
   }
 });
 
@@ -240,6 +1103,187 @@ router.get('/:id', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/history/{id}:
+ *   patch:
+ *     summary: Исправить распознанные данные сканирования
+ *     description: |
+ *       Меняет поля extractedData. Прежние значения сохраняются в corrections,
+ *       точка в истории цен товара обновляется, а при смене штрих-кода переносится
+ *       к другому товару. Исправленная запись снимается с проверки.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID сканирования
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Любое подмножество полей, null очищает поле
+ *             properties:
+ *               productName:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               originalPrice:
+ *                 type: number
+ *               cardPrice:
+ *                 type: number
+ *                 description: Цена по карте лояльности
+ *               cardProgram:
+ *                 type: string
+ *               pricePerUnit:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 enum: [RUB, USD, EUR, KZT, UAH, BYN]
+ *               unit:
+ *                 type: string
+ *               quantity:
+ *                 type: string
+ *                 example: 6×0,33 л
+ *                 description: Размер упаковки; цена за кг, л или шт пересчитывается
+ *               barcode:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               composition:
+ *                 type: string
+ *               expiryDate:
+ *                 type: string
+ *               promoPeriod:
+ *                 type: string
+ *                 example: с 01.11 по 14.11
+ *                 description: Срок акции; даты начала и окончания пересчитываются
+ *               printDate:
+ *                 type: string
+ *                 example: 28.10.2025
+ *               isPromo:
+ *                 type: boolean
+ *               promoType:
+ *                 type: string
+ *               promo:
+ *                 type: string
+ *                 example: 3 за 199
+ *                 description: Условие акции; цена за штуку по акции пересчитывается
+ *               discountPercent:
+ *                 type: number
+ *           example:
+ *             price: 89.99
+ *     responses:
+ *       200:
+ *         description: Исправленная запись
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanResult'
+ *       400:
+ *         description: Некорректные данные
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Не авторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Запись не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const { changes, error } = parseCorrections(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const scan = await ScanHistory.findOne({
+      _id: req.params.id,
+      userId: req.user._id
+    });
+
+    if (!scan) {
+      return res.status(404).json({ error: 'Запись не найдена' });
+    }
+
+    const previous = scan.extractedData.toObject();
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (previous[field] === value) continue;
+
+      scan.corrections.push({ field, from: previous[field] ?? null, to: value, userId: req.user._id });
+      scan.extractedData[field] = value;
+    }
+
+    // Dates without a year are read relative to the scan
+    const reference = scan.createdAt;
+
+    if ('expiryDate' in changes) {
+      scan.extractedData.expiresAt = parseDate(changes.expiryDate, { reference });
+    }
+
+    if ('promoPeriod' in changes) {
+      const period = parsePeriod(changes.promoPeriod, { reference });
+      scan.extractedData.promoStartsAt = period?.start ?? null;
+      scan.extractedData.promoEndsAt = period?.end ?? null;
+    }
+
+    if ('printDate' in changes) {
+      scan.extractedData.printedAt = parseDate(changes.printDate, { reference });
+    }
+
+    if ('price' in changes) {
+      scan.extractedData.regularPrice = changes.price;
+    }
+
+    if (UNIT_PRICE_INPUTS.some(field => field in changes)) {
+      scan.extractedData.unitPrice = computeUnitPrice(scan.extractedData);
+    }
+
+    if ('promo' in changes || 'price' in changes) {
+      scan.extractedData.promo = withEffectivePrice(scan.extractedData.promo?.toObject() ?? null, scan.extractedData.price);
+    }
+
+    await syncScanPricePoint(scan, previous);
+
+    scan.needsReview = false;
+
+    // Corrections belong to the accepted revision, so accepting it again keeps them
+    const accepted = scan.revisions.id(scan.acceptedRevisionId);
+    if (accepted) {
+      accepted.extractedData = scan.extractedData.toObject();
+      accepted.needsReview = false;
+    }
+    await scan.save();
+
+    res.json(scan);
+  } catch (error) {
+    console.error('Correct scan error:', error);
+    res.status(500).json({ error: 'Ошибка исправления записи' });
+  }
+});
+
 /**
  * @swagger
  * /api/history/{id}:
@@ -295,6 +1339,13 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Запись не найдена' });
     }
 
+    if (scan.shelfScanId) {
+      await ShelfScan.updateOne({ _id: scan.shelfScanId }, { $pull: { scans: scan._id } });
+    }
+
+    await removeScanPricePoint(scan);
+    await removeImages(scan.images);
+
     res.json({ message: 'Запись удалена' });
   } catch (error) {
     console.error('Delete scan error:', error);
@@ -369,4 +1420,136 @@ router.get('/stats/summary', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/history/stats/models:
+ *   get:
+ *     summary: Статистика сканирований по моделям
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Показатели каждой модели
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   model:
+ *                     type: string
+ *                   totalScans:
+ *                     type: integer
+ *                   avgProcessingTime:
+ *                     type: number
+ *                   withPrice:
+ *                     type: integer
+ *                   withBarcode:
+ *                     type: integer
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stats/models', optionalAuth, async (req, res) => {
+  try {
+    const query = req.user ? { userId: req.user._id } : { userId: { $exists: false } };
+
+    const stats = await ScanHistory.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: '$model',
+          totalScans: { $sum: 1 },
+          avgProcessingTime: { $avg: '$processingTime' },
+          withPrice: {
+            $sum: { $cond: [{ $gt: ['$extractedData.price', null] }, 1, 0] }
+          },
+          withBarcode: {
+            $sum: { $cond: [{ $gt: ['$extractedData.barcode', null] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { totalScans: -1 } }
+    ]);
+
+    res.json(stats.map(({ _id, ...rest }) => ({ model: _id, ...rest })));
+  } catch (error) {
+    console.error('Model stats error:', error);
+    res.status(500).json({ error: 'Ошибка статистики' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/history/stats/prompts:
+ *   get:
+ *     summary: Статистика сканирований по версиям промптов
+ *     description: Для сравнения точности версий шаблонов — средняя уверенность, доля сканов на проверке и доля исправленных вручную.
+ *     tags: [History]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Показатели каждой версии промпта
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   prompt:
+ *                     $ref: '#/components/schemas/PromptRef'
+ *                   totalScans:
+ *                     type: integer
+ *                   avgConfidence:
+ *                     type: number
+ *                   needsReview:
+ *                     type: integer
+ *                   corrected:
+ *                     type: integer
+ *                   withPrice:
+ *                     type: integer
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stats/prompts', optionalAuth, async (req, res) => {
+  try {
+    const query = req.user ? { userId: req.user._id } : { userId: { $exists: false } };
+
+    const stats = await ScanHistory.aggregate([
+      { $match: query },
+      {
+        $group: {
+          _id: { name: '$prompt.name', version: '$prompt.version' },
+          totalScans: { $sum: 1 },
+          avgConfidence: { $avg: '$confidence.score' },
+          needsReview: { $sum: { $cond: ['$needsReview', 1, 0] } },
+          corrected: {
+            $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$corrections', []] } }, 0] }, 1, 0] }
+          },
+          withPrice: {
+            $sum: { $cond: [{ $gt: ['$extractedData.price', null] }, 1, 0] }
+          }
+        }
+      },
+      { $sort: { '_id.name': 1, '_id.version': -1 } }
+    ]);
+
+    res.json(stats.map(({ _id, ...rest }) => ({ prompt: _id, ...rest })));
+  } catch (error) {
+    console.error('Prompt stats error:', error);
+    res.status(500).json({ error: 'Ошибка статистики' });
+  }
+});
+
 export default router;
@@ -0,0 +1,109 @@
+import express from 'express';
+import sharp from 'sharp';
+import { upload } from '../middleware/upload.js';
+import { PREPROCESS_PRESETS, PREPROCESS_STEPS, resolvePreprocessSteps, applyPreprocessing } from '../utils/preprocess.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/preprocess/presets:
+ *   get:
+ *     summary: Список пресетов и шагов предобработки
+ *     tags: [Preprocess]
+ *     responses:
+ *       200:
+ *         description: Пресеты и доступные шаги
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 presets:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                 steps:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ */
+router.get('/presets', (req, res) => {
+  res.json({
+    presets: PREPROCESS_PRESETS,
+    steps: Object.keys(PREPROCESS_STEPS)
+  });
+});
+
+/**
+ * @swagger
+ * /api/preprocess/preview:
+ *   post:
+ *     summary: Предпросмотр предобработки без распознавания
+ *     description: Возвращает обработанное изображение в PNG. Применённые шаги перечислены в заголовке X-Preprocess-Steps.
+ *     tags: [Preprocess]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               preprocess:
+ *                 type: string
+ *                 description: Пресет или шаги через запятую
+ *                 example: document
+ *               maxWidth:
+ *                 type: integer
+ *                 description: Уменьшить результат до этой ширины
+ *     responses:
+ *       200:
+ *         description: Обработанное изображение
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Нет изображения или неизвестный пресет
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/preview', upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+
+    const steps = resolvePreprocessSteps(req.body.preprocess || 'enhance');
+    if (!steps) {
+      return res.status(400).json({ error: 'Unknown preprocessing preset or step' });
+    }
+
+    let { buffer, applied } = await applyPreprocessing(req.file.buffer, steps);
+
+    const maxWidth = parseInt(req.body.maxWidth);
+    if (maxWidth > 0) {
+      buffer = await sharp(buffer).resize({ width: maxWidth, withoutEnlargement: true }).png().toBuffer();
+    } else if (applied.length === 0) {
+      buffer = await sharp(buffer).png().toBuffer();
+    }
+
+    res.set('X-Preprocess-Steps', applied.join(','));
+    res.type('image/png').send(buffer);
+  } catch (error) {
+    console.error('Preprocess preview error:', error);
+    res.status(500).json({ error: 'Failed to preprocess image', details: error.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,159 @@
 import express from 'express';
-import Product from '../models/Product.js';
+import Product, { PRICE_SERIES, seriesPrice } from '../models/Product.js';
+import Store from '../models/Store.js';
 import { auth, optionalAuth } from '../middleware/auth.js';
+import { containsPattern } from '../utils/query.js';
+import { normalizeGtin } from '../utils/gtin.js';
+import { distanceTo, parseNearQuery, withinRadius } from '../utils/geo.js';
 
 const router = express.Router();
 
+const parsePriceType = (value) => (PRICE_SERIES.includes(value) ? value : 'regular');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PROMO_WINDOW_DAYS = 365;
+const OPEN_PROMO_DAYS = 14;
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Promo dates are stored as UTC midnights, so a day compares as a whole
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return isNaN(date) ? null : date;
+};
+
+// Conditions on the price points: a promo running on the given day and
+// a promo ending within the given number of days from today
+const parsePromoFilters = ({ promoActiveOn, promoEndingWithin }) => {
+  const conditions = [];
+
+  if (promoActiveOn !== undefined) {
+    const day = parseDay(promoActiveOn);
+    if (!day) return { error: 'Некорректная дата' };
+
+    // A promo printed without an end date ("с 01.11") runs from its start
+    // until OPEN_PROMO_DAYS after the scan that saw it
+    conditions.push({
+      $or: [
+        { promoEndsAt: { $gte: day }, $or: [{ promoStartsAt: null }, { promoStartsAt: { $lte: day } }] },
+        {
+          promoEndsAt: null,
+          promoStartsAt: { $lte: day },
+          scannedAt: { $gte: new Date(day.getTime() - OPEN_PROMO_DAYS * DAY_MS) }
+        }
+      ]
+    });
+  }
+
+  if (promoEndingWithin !== undefined) {
+    const days = Number(promoEndingWithin);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_PROMO_WINDOW_DAYS) {
+      return { error: `Количество дней: целое число от 0 до ${MAX_PROMO_WINDOW_DAYS}` };
+    }
+
+    const today = startOfDay(new Date());
+    conditions.push({
+      promoEndsAt: { $gte: today, $lte: new Date(today.getTime() + days * DAY_MS) }
+    });
+  }
+
+  return { conditions };
+};
+
+// The latest point of a price series as an aggregation expression, so that
+// filters on the current price run in the query and agree with the counts
+const currentPointExpr = (series) => ({
+  $arrayElemAt: [{
+    $filter: {
+      input: '$priceHistory',
+      as: 'point',
+      cond: { $gt: [series === 'card' ? '$$point.cardPrice' : '$$point.price', 0] }
+    }
+  }, -1]
+});
+
+const currentField = (series, field) => ({
+  $let: { vars: { point: currentPointExpr(series) }, in: `$$point.${field}` }
+});
+
+// $expr conditions on the current price of the series: a price range and a promo
+const parsePriceFilters = ({ minPrice, maxPrice, hasPromo }, priceType) => {
+  const conditions = [];
+  const price = currentField(priceType, priceType === 'card' ? 'cardPrice' : 'price');
+
+  for (const [value, operator] of [[minPrice, '$gte'], [maxPrice, '$lte']]) {
+    if (!value) continue;
+    const bound = Number(value);
+    if (!Number.isFinite(bound)) return { error: 'Некорректная цена' };
+    conditions.push({ [operator]: [price, bound] });
+  }
+
+  if (hasPromo === 'true') {
+    conditions.push({ $eq: [currentField('regular', 'isPromo'), true] });
+  }
+
+  return { conditions };
+};
+
+// Price stats of one series: regular prices or loyalty-card prices
+const withPriceStats = (product, priceType = 'regular') => {
+  const obj = product.toObject();
+  obj.priceType = priceType;
+  obj.currentPrice = product.getCurrentPrice(priceType);
+  obj.minPrice = product.getMinPrice(priceType);
+  obj.maxPrice = product.getMaxPrice(priceType);
+  obj.avgPrice = product.getAvgPrice(priceType);
+  obj.priceCount = product.getPriceSeries(priceType).length;
+  return obj;
+};
+
+// Name, chain and address of the given stores, keyed by id
+const loadStores = async (ids) => {
+  const unique = [...new Set(ids.filter(Boolean).map(String))];
+  if (unique.length === 0) return new Map();
+
+  const stores = await Store.find({ _id: { $in: unique } }).select('name chain address').lean();
+  return new Map(stores.map(s => [String(s._id), s]));
+};
+
+const toStorePrice = (point, stores) => ({
+  storeId: point.storeId,
+  store: stores.get(String(point.storeId)) ?? null,
+  price: point.price,
+  regularPrice: point.regularPrice ?? point.price,
+  cardPrice: point.cardPrice,
+  cardProgram: point.cardProgram,
+  currency: point.currency,
+  isPromo: point.isPromo,
+  scannedAt: point.scannedAt
+});
+
+// Price stats plus the latest price in each store, cheapest store first
+const withStorePrices = async (products, priceType) => {
+  const storePoints = products.map(p => p.getStorePrices(priceType));
+  const stores = await loadStores(storePoints.flat().map(p => p.storeId));
+
+  return products.map((product, i) => ({
+    ...withPriceStats(product, priceType),
+    storePrices: storePoints[i]
+      .map(point => toStorePrice(point, stores))
+      .sort((a, b) => seriesPrice(a, priceType) - seriesPrice(b, priceType))
+  }));
+};
+
+const seriesStats = (points, priceType) => {
+  const prices = points.map(p => seriesPrice(p, priceType));
+  if (prices.length === 0) return { min: null, max: null, avg: null, count: 0 };
+
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg: prices.reduce((sum, price) => sum + price, 0) / prices.length,
+    count: prices.length
+  };
+};
+
 /**
  * @swagger
  * /api/products:
@@ -29,6 +179,11 @@ const router = express.Router();
  *           type: string
  *         description: Фильтр по бренду
  *       - in: query
+ *         name: composition
+ *         schema:
+ *           type: string
+ *         description: Фильтр по составу (подстрока)
+ *       - in: query
  *         name: minPrice
  *         schema:
  *           type: number
@@ -44,6 +199,36 @@ const router = express.Router();
  *           type: boolean
  *         description: Только с акциями
  *       - in: query
+ *         name: unitType
+ *         schema:
+ *           type: string
+ *           enum: [кг, л, шт]
+ *         description: Только товары с ценой за кг, за литр или за штуку
+ *       - in: query
+ *         name: promoActiveOn
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: '2025-11-05'
+ *         description: >
+ *           Только товары с акцией, которая действует в этот день по сроку на ценнике.
+ *           Акция без даты окончания («с 01.11») считается действующей с даты начала
+ *           и не дольше 14 дней после скана, на котором её увидели.
+ *       - in: query
+ *         name: promoEndingWithin
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 365
+ *         description: Только товары с акцией, которая заканчивается в ближайшие N дней (0 — сегодня)
+ *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Ряд цен для currentPrice, minPrice, maxPrice и фильтров по цене; card — только товары с ценой по карте
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -60,7 +245,7 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           default: '-updatedAt'
- *         description: Сортировка
+ *         description: Сортировка. unitPrice (или -unitPrice) — по цене за кг/л/шт, товары без размера упаковки пропускаются
  *     responses:
  *       200:
  *         description: Список продуктов
@@ -84,6 +269,12 @@ const router = express.Router();
  *                       type: integer
  *                     pages:
  *                       type: integer
+ *       400:
+ *         description: Некорректный фильтр по цене или срокам акции
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Ошибка сервера
  *         content:
@@ -97,16 +288,39 @@ router.get('/', optionalAuth, async (req, res) => {
       search,
       barcode,
       brand,
-      minPrice,
-      maxPrice,
-      hasPromo,
+      composition,
+      unitType,
       page = 1,
       limit = 20,
       sort = '-updatedAt'
     } = req.query;
+    const priceType = parsePriceType(req.query.priceType);
+
+    const { conditions: promoConditions, error } = parsePromoFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { conditions: priceConditions, error: priceError } = parsePriceFilters(req.query, priceType);
+    if (priceError) {
+      return res.status(400).json({ error: priceError });
+    }
 
     const query = {};
 
+    // Both promo filters must hold for the same price point
+    if (promoConditions.length > 0) {
+      query.priceHistory = { $elemMatch: { $and: promoConditions } };
+    }
+
+    if (priceType === 'card') {
+      query['priceHistory.cardPrice'] = { $gt: 0 };
+    }
+
+    if (priceConditions.length > 0) {
+      query.$expr = { $and: priceConditions };
+    }
+
     
     if (search) {
       query.$text = { $search: search };
@@ -114,52 +328,43 @@ router.get('/', optionalAuth, async (req, res) => {
 
     
     if (barcode) {
-      query.barcode = barcode;
+      query.barcode = normalizeGtin(barcode) || barcode;
     }
 
     
     if (brand) {
-      query.brand = new RegExp(brand, 'i');
+      query.brand = containsPattern(brand);
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-
-    let products = await Product.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit));
+    if (composition) {
+      query.composition = containsPattern(composition);
+    }
 
-    
-    if (minPrice || maxPrice) {
-      products = products.filter(p => {
-        const current = p.getCurrentPrice();
-        if (!current) return false;
-        if (minPrice && current.price < parseFloat(minPrice)) return false;
-        if (maxPrice && current.price > parseFloat(maxPrice)) return false;
-        return true;
-      });
+    if (unitType) {
+      query['unitPrice.unit'] = unitType;
     }
 
-    
-    if (hasPromo === 'true') {
-      products = products.filter(p => {
-        const current = p.getCurrentPrice();
-        return current?.isPromo;
-      });
+    // Prices per kg, litre and piece are not comparable, so they are grouped by unit
+    const sortByUnitPrice = sort === 'unitPrice' || sort === '-unitPrice';
+    if (sortByUnitPrice) {
+      query['unitPrice.value'] = { $exists: true };
     }
+    const order = sortByUnitPrice
+      ? { 'unitPrice.unit': 1, 'unitPrice.value': sort.startsWith('-') ? -1 : 1 }
+      : sort;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const total = await Product.countDocuments(query);
+    const [products, total] = await Promise.all([
+      Product.find(query)
+        .sort(order)
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Product.countDocuments(query)
+    ]);
 
     
-    const enrichedProducts = products.map(p => {
-      const obj = p.toObject();
-      obj.currentPrice = p.getCurrentPrice();
-      obj.minPrice = p.getMinPrice();
-      obj.maxPrice = p.getMaxPrice();
-      obj.avgPrice = p.getAvgPrice();
-      obj.priceCount = p.priceHistory.length;
-      return obj;
-    });
+    const enrichedProducts = await withStorePrices(products, priceType);
 
     res.json({
       items: enrichedProducts,
@@ -188,7 +393,14 @@ router.get('/', optionalAuth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
- *         description: Штрих-код продукта
+ *         description: Штрих-код продукта (GTIN-8, UPC-A, EAN-13 или GTIN-14)
+ *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Обычные цены или цены по карте лояльности
  *     responses:
  *       200:
  *         description: Данные продукта
@@ -196,6 +408,12 @@ router.get('/', optionalAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Некорректный штрих-код
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Продукт не найден
  *         content:
@@ -211,26 +429,260 @@ router.get('/', optionalAuth, async (req, res) => {
  */
 router.get('/barcode/:barcode', async (req, res) => {
   try {
-    const product = await Product.findOne({ barcode: req.params.barcode });
+    const barcode = normalizeGtin(req.params.barcode);
+    if (!barcode) {
+      return res.status(400).json({ error: 'Некорректный штрих-код' });
+    }
+
+    const product = await Product.findOne({ barcode });
 
     if (!product) {
       return res.status(404).json({ error: 'Продукт не найден' });
     }
 
-    const obj = product.toObject();
-    obj.currentPrice = product.getCurrentPrice();
-    obj.minPrice = product.getMinPrice();
-    obj.maxPrice = product.getMaxPrice();
-    obj.avgPrice = product.getAvgPrice();
-    obj.priceCount = product.priceHistory.length;
-
-    res.json(obj);
+    const [enriched] = await withStorePrices([product], parsePriceType(req.query.priceType));
+    res.json(enriched);
   } catch (error) {
     console.error('Get product error:', error);
     res.status(500).json({ error: 'Ошибка получения продукта' });
   }
 });
 
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// The latest price in every store the product was seen in, cheapest first,
+// optionally only stores within a radius. Points without a store are left out.
+const sendStorePrices = async (req, res, product) => {
+  const priceType = parsePriceType(req.query.priceType);
+
+  const { near, error } = parseNearQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Prices in different currencies are not comparable, so only one currency
+  // is compared: the requested one or that of the product's current price
+  const storePoints = product.getStorePrices(priceType);
+  const currencies = [...new Set(storePoints.map(p => p.currency))];
+  const currency = typeof req.query.currency === 'string' && req.query.currency.trim()
+    ? req.query.currency.trim().toUpperCase()
+    : product.getCurrentPrice(priceType)?.currency ?? 'RUB';
+  const points = storePoints.filter(p => p.currency === currency);
+
+  const storeQuery = { _id: { $in: points.map(p => p.storeId) } };
+  if (near) {
+    storeQuery.location = withinRadius(near);
+  }
+  const stores = new Map((await Store.find(storeQuery)).map(s => [String(s._id), s]));
+
+  const now = new Date();
+  const today = startOfDay(now);
+
+  const prices = points
+    .filter(point => stores.has(String(point.storeId)))
+    .map(point => {
+      const store = stores.get(String(point.storeId));
+      return {
+        store,
+        price: seriesPrice(point, priceType),
+        regularPrice: point.regularPrice ?? point.price,
+        originalPrice: point.originalPrice,
+        cardPrice: point.cardPrice,
+        cardProgram: point.cardProgram,
+        currency: point.currency,
+        isPromo: Boolean(point.isPromo),
+        promo: point.promo,
+        promoEndsAt: point.promoEndsAt ?? null,
+        // The promo printed on the tag has ended since the scan, so the price may be gone
+        promoEnded: Boolean(point.promoEndsAt && point.promoEndsAt < today),
+        scannedAt: point.scannedAt,
+        ageDays: Math.floor((now - point.scannedAt) / DAY_MS),
+        distance: near && store.location?.coordinates ? Math.round(distanceTo(near, store.location.coordinates)) : null
+      };
+    })
+    .sort((a, b) => a.price - b.price || (a.distance ?? Infinity) - (b.distance ?? Infinity));
+
+  const cheapest = prices[0] ?? null;
+  const dearest = prices[prices.length - 1] ?? null;
+
+  res.json({
+    productId: product._id,
+    productName: product.name,
+    barcode: product.barcode,
+    priceType,
+    currency,
+    currencies,
+    near,
+    cheapest,
+    spread: cheapest && {
+      min: cheapest.price,
+      max: dearest.price,
+      amount: round(dearest.price - cheapest.price, 2),
+      percent: round((dearest.price - cheapest.price) / cheapest.price * 100, 1)
+    },
+    prices
+  });
+};
+
+/**
+ * @swagger
+ * /api/products/barcode/{barcode}/store-prices:
+ *   get:
+ *     summary: Где товар сейчас дешевле всего
+ *     description: Последняя цена в каждом магазине, где сканировали товар, от дешёвой к дорогой, с возрастом наблюдения и разбросом цен.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: barcode
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Сравнивать обычные цены или цены по карте
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *         description: Широта точки; вместе с longitude оставляет только магазины в радиусе
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *         description: Долгота точки
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Радиус в метрах
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: RUB
+ *         description: Валюта сравнения; по умолчанию валюта текущей цены товара. Цены в других валютах не сравниваются
+ *     responses:
+ *       200:
+ *         description: Цены по магазинам
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StorePriceComparison'
+ *       400:
+ *         description: Некорректный штрих-код или координаты
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Продукт не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/barcode/:barcode/store-prices', async (req, res) => {
+  try {
+    const barcode = normalizeGtin(req.params.barcode);
+    if (!barcode) {
+      return res.status(400).json({ error: 'Некорректный штрих-код' });
+    }
+
+    const product = await Product.findOne({ barcode });
+
+    if (!product) {
+      return res.status(404).json({ error: 'Продукт не найден' });
+    }
+
+    await sendStorePrices(req, res, product);
+  } catch (error) {
+    console.error('Store prices error:', error);
+    res.status(500).json({ error: 'Ошибка сравнения цен по магазинам' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/store-prices:
+ *   get:
+ *     summary: Где товар сейчас дешевле всего, по ID продукта
+ *     description: То же, что /api/products/barcode/{barcode}/store-prices.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Сравнивать обычные цены или цены по карте
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *         description: Широта точки; вместе с longitude оставляет только магазины в радиусе
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *         description: Долгота точки
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Радиус в метрах
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: RUB
+ *         description: Валюта сравнения; по умолчанию валюта текущей цены товара. Цены в других валютах не сравниваются
+ *     responses:
+ *       200:
+ *         description: Цены по магазинам
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StorePriceComparison'
+ *       400:
+ *         description: Некорректные координаты
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Продукт не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/store-prices', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({ error: 'Продукт не найден' });
+    }
+
+    await sendStorePrices(req, res, product);
+  } catch (error) {
+    console.error('Store prices error:', error);
+    res.status(500).json({ error: 'Ошибка сравнения цен по магазинам' });
+  }
+});
+
 /**
  * @swagger
  * /api/products/{id}:
@@ -244,6 +696,13 @@ router.get('/barcode/:barcode', async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID продукта
+ *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Обычные цены или цены по карте лояльности
  *     responses:
  *       200:
  *         description: Данные продукта
@@ -272,14 +731,8 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Продукт не найден' });
     }
 
-    const obj = product.toObject();
-    obj.currentPrice = product.getCurrentPrice();
-    obj.minPrice = product.getMinPrice();
-    obj.maxPrice = product.getMaxPrice();
-    obj.avgPrice = product.getAvgPrice();
-    obj.priceCount = product.priceHistory.length;
-
-    res.json(obj);
+    const [enriched] = await withStorePrices([product], parsePriceType(req.query.priceType));
+    res.json(enriched);
   } catch (error) {
     console.error('Get product error:', error);
     res.status(500).json({ error: 'Ошибка получения продукта' });
@@ -300,6 +753,24 @@ router.get('/:id', async (req, res) => {
  *           type: string
  *         description: ID продукта
  *       - in: query
+ *         name: priceType
+ *         schema:
+ *           type: string
+ *           enum: [regular, card]
+ *           default: regular
+ *         description: Ряд на графике — обычные цены или цены по карте (только точки с ценой по карте)
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Только цены из этого магазина; статистика тоже считается по нему
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [store]
+ *         description: store — дополнительно вернуть историю и статистику по каждому магазину
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -343,19 +814,42 @@ router.get('/:id', async (req, res) => {
  *                         type: number
  *                       originalPrice:
  *                         type: number
+ *                       regularPrice:
+ *                         type: number
+ *                       cardPrice:
+ *                         type: number
+ *                       cardProgram:
+ *                         type: string
  *                       isPromo:
  *                         type: boolean
+ *                       promo:
+ *                         $ref: '#/components/schemas/Promo'
+ *                       storeId:
+ *                         type: string
+ *                         nullable: true
+ *                       store:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Название магазина
  *                 stats:
- *                   type: object
- *                   properties:
- *                     min:
- *                       type: number
- *                     max:
- *                       type: number
- *                     avg:
- *                       type: number
- *                     count:
- *                       type: integer
+ *                   $ref: '#/components/schemas/PriceStats'
+ *                 stores:
+ *                   type: array
+ *                   description: Только при groupBy=store. Цены без магазина собраны в группу со storeId null
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       storeId:
+ *                         type: string
+ *                         nullable: true
+ *                       store:
+ *                         $ref: '#/components/schemas/Store'
+ *                       data:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                       stats:
+ *                         $ref: '#/components/schemas/PriceStats'
  *       404:
  *         description: Продукт не найден
  *         content:
@@ -371,7 +865,8 @@ router.get('/:id', async (req, res) => {
  */
 router.get('/:id/price-history', async (req, res) => {
   try {
-    const { startDate, endDate, limit = 100 } = req.query;
+    const { startDate, endDate, storeId, groupBy, limit = 100 } = req.query;
+    const priceType = parsePriceType(req.query.priceType);
 
     const product = await Product.findById(req.params.id);
 
@@ -379,7 +874,12 @@ router.get('/:id/price-history', async (req, res) => {
       return res.status(404).json({ error: 'Продукт не найден' });
     }
 
-    let history = product.priceHistory;
+    let series = product.getPriceSeries(priceType);
+    if (storeId) {
+      series = series.filter(p => String(p.storeId) === storeId);
+    }
+
+    let history = series;
 
     
     if (startDate) {
@@ -392,27 +892,50 @@ router.get('/:id/price-history', async (req, res) => {
     
     history = history.slice(-parseInt(limit));
 
-    
+    const stores = await loadStores(series.map(p => p.storeId));
     const chartData = history.map(h => ({
       date: h.scannedAt,
-      price: h.price,
+      price: seriesPrice(h, priceType),
       originalPrice: h.originalPrice,
+      regularPrice: h.regularPrice ?? h.price,
+      cardPrice: h.cardPrice,
+      cardProgram: h.cardProgram,
       isPromo: h.isPromo,
-      store: h.store
+      promo: h.promo,
+      storeId: h.storeId ?? null,
+      store: h.storeId ? stores.get(String(h.storeId))?.name ?? null : null
     }));
 
-    res.json({
+    const response = {
       productId: product._id,
       productName: product.name,
       barcode: product.barcode,
+      priceType,
       data: chartData,
-      stats: {
-        min: product.getMinPrice(),
-        max: product.getMaxPrice(),
-        avg: product.getAvgPrice(),
-        count: product.priceHistory.length
+      stats: seriesStats(series, priceType)
+    };
+
+    // Stats per store cover the whole series, like the overall stats; the
+    // points follow the date filters and the limit
+    if (groupBy === 'store') {
+      const storeKey = (point) => (point.storeId ? String(point.storeId) : null);
+
+      const groups = new Map();
+      for (const point of series) {
+        const key = storeKey(point);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(point);
       }
-    });
+
+      response.stores = [...groups].map(([key, points]) => ({
+        storeId: key,
+        store: key ? stores.get(key) ?? null : null,
+        data: chartData.filter(point => storeKey(point) === key),
+        stats: seriesStats(points, priceType)
+      }));
+    }
+
+    res.json(response);
   } catch (error) {
     console.error('Price history error:', error);
     res.status(500).json({ error: 'Ошибка получения истории цен' });
@@ -424,6 +947,12 @@ router.get('/:id/price-history', async (req, res) => {
  * /api/products/compare:
  *   post:
  *     summary: Сравнить несколько продуктов
+ *     description: >
+ *       Цены за кг, литр и штуку и цены в разных валютах между собой не сравниваются.
+ *       Товары сгруппированы по единице `unitPrice.unit` и валюте текущей цены — группы идут
+ *       в порядке их первого появления в запросе, внутри группы товары отсортированы по цене
+ *       за единицу, а `unitPriceRank` — место товара в своей группе (1 — самый дешёвый).
+ *       Товары без размера упаковки идут в конце в порядке запроса, их `unitPriceRank` — null.
  *     tags: [Products]
  *     requestBody:
  *       required: true
@@ -460,8 +989,19 @@ router.get('/:id/price-history', async (req, res) => {
  *                     type: string
  *                   brand:
  *                     type: string
+ *                   quantity:
+ *                     $ref: '#/components/schemas/Quantity'
+ *                   unitPrice:
+ *                     $ref: '#/components/schemas/UnitPrice'
+ *                   unitPriceRank:
+ *                     type: integer
+ *                     nullable: true
+ *                     description: Место по цене за единицу среди товаров с той же единицей и валютой
  *                   currentPrice:
  *                     type: object
+ *                   currentCardPrice:
+ *                     type: object
+ *                     description: Последняя точка с ценой по карте
  *                   minPrice:
  *                     type: number
  *                   maxPrice:
@@ -485,8 +1025,12 @@ router.post('/compare', async (req, res) => {
 
     if (productIds?.length) {
       products = await Product.find({ _id: { $in: productIds } });
+      const ids = productIds.map(String);
+      products.sort((a, b) => ids.indexOf(String(a._id)) - ids.indexOf(String(b._id)));
     } else if (barcodes?.length) {
-      products = await Product.find({ barcode: { $in: barcodes } });
+      const gtins = barcodes.map(normalizeGtin).filter(Boolean);
+      products = await Product.find({ barcode: { $in: gtins } });
+      products.sort((a, b) => gtins.indexOf(a.barcode) - gtins.indexOf(b.barcode));
     }
 
     const comparison = products.map(p => ({
@@ -494,13 +1038,47 @@ router.post('/compare', async (req, res) => {
       name: p.name,
       barcode: p.barcode,
       brand: p.brand,
+      quantity: p.quantity,
+      unitPrice: p.unitPrice,
+      unitPriceRank: null,
       currentPrice: p.getCurrentPrice(),
+      currentCardPrice: p.getCurrentPrice('card'),
       minPrice: p.getMinPrice(),
       maxPrice: p.getMaxPrice(),
       avgPrice: p.getAvgPrice(),
       priceHistory: p.priceHistory.slice(-30) 
     }));
 
+    // Prices per kg, litre and piece, or in different currencies, are not
+    // comparable: items are grouped by unit and currency in the order the
+    // groups first appear in the request, and ranked only within their group.
+    // Items of unknown size go last, in request order.
+    const groupKey = (item) => item.unitPrice?.value != null
+      ? `${item.unitPrice.unit}:${item.currentPrice?.currency ?? ''}`
+      : null;
+    const groups = [];
+    for (const item of comparison) {
+      const key = groupKey(item);
+      if (key !== null && !groups.includes(key)) groups.push(key);
+    }
+    const groupIndex = (item) => {
+      const key = groupKey(item);
+      return key === null ? groups.length : groups.indexOf(key);
+    };
+
+    comparison.sort((a, b) => groupIndex(a) - groupIndex(b)
+      || (a.unitPrice?.value ?? 0) - (b.unitPrice?.value ?? 0));
+
+    let previous;
+    let rank = 0;
+    for (const item of comparison) {
+      const key = groupKey(item);
+      if (key === null) break;
+      rank = key === previous ? rank + 1 : 1;
+      previous = key;
+      item.unitPriceRank = rank;
+    }
+
     res.json(comparison);
   } catch (error) {
     console.error('Compare error:', error);
@@ -0,0 +1,387 @@
+import express from 'express';
+import PromptTemplate from '../models/PromptTemplate.js';
+import { auth, adminOnly } from '../middleware/auth.js';
+import { resolvePrompt, BUILTIN_PROMPT_NAME } from '../services/prompts.js';
+import { EXTRACTION_MODES } from '../utils/extraction.js';
+import { SUPPORTED_CURRENCIES } from '../utils/parser.js';
+import { SUPPORTED_LOCALES, findUnknownVariables } from '../utils/prompt.js';
+
+const router = express.Router();
+
+const MAX_PROMPT_LENGTH = 20000;
+
+router.use(auth, adminOnly);
+
+const parseTemplate = (body) => {
+  for (const field of ['description', 'locale', 'currency', 'chain']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `Некорректное значение поля ${field}` };
+    }
+  }
+
+  const { name, text, description } = body;
+  const extraction = body.extraction || 'template';
+  const locale = body.locale?.trim().toLowerCase() || undefined;
+  const currency = body.currency?.trim().toUpperCase() || undefined;
+  const chain = body.chain?.trim().toLowerCase() || undefined;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(name.trim())) {
+    return { error: 'Имя шаблона: латинские буквы, цифры, "-" и "_"' };
+  }
+  if (name.trim().toLowerCase() === BUILTIN_PROMPT_NAME) {
+    return { error: `Имя ${BUILTIN_PROMPT_NAME} зарезервировано` };
+  }
+  if (typeof text !== 'string' || !text.trim() || text.length > MAX_PROMPT_LENGTH) {
+    return { error: `Текст шаблона обязателен, не длиннее ${MAX_PROMPT_LENGTH} символов` };
+  }
+  if (!EXTRACTION_MODES.includes(extraction)) {
+    return { error: `Неизвестный режим извлечения: ${extraction}` };
+  }
+  if (locale && !SUPPORTED_LOCALES.includes(locale)) {
+    return { error: `Неизвестная локаль: ${locale}` };
+  }
+  if (currency && !SUPPORTED_CURRENCIES.includes(currency)) {
+    return { error: `Неизвестная валюта: ${currency}` };
+  }
+
+  const unknown = findUnknownVariables(text);
+  if (unknown.length > 0) {
+    return { error: `Неизвестные переменные в шаблоне: ${unknown.join(', ')}` };
+  }
+
+  return {
+    template: {
+      name: name.trim().toLowerCase(),
+      text,
+      description,
+      extraction,
+      locale,
+      currency,
+      chain
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/prompts:
+ *   get:
+ *     summary: Список шаблонов промптов
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Только активные (true) или только неактивные (false) версии
+ *     responses:
+ *       200:
+ *         description: Шаблоны, по убыванию версии внутри имени
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromptTemplate'
+ *       403:
+ *         description: Требуются права администратора
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.active = req.query.active === 'true';
+    }
+
+    const templates = await PromptTemplate.find(query).sort({ name: 1, version: -1 });
+    res.json(templates);
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({ error: 'Ошибка получения шаблонов' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prompts/resolve:
+ *   get:
+ *     summary: Какой промпт получит сканирование
+ *     description: Выбирает шаблон так же, как при сканировании, и возвращает готовый текст промпта.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: extraction
+ *         schema:
+ *           type: string
+ *           enum: [template, json]
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Выбранный шаблон и текст промпта
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prompt:
+ *                   $ref: '#/components/schemas/PromptRef'
+ *                 text:
+ *                   type: string
+ */
+router.get('/resolve', async (req, res) => {
+  try {
+    const { text, ref } = await resolvePrompt({
+      extraction: EXTRACTION_MODES.includes(req.query.extraction) ? req.query.extraction : 'template',
+      locale: req.query.locale?.toLowerCase(),
+      currency: req.query.currency?.toUpperCase(),
+      chain: req.query.chain?.toLowerCase()
+    });
+
+    res.json({ prompt: ref, text });
+  } catch (error) {
+    console.error('Resolve prompt error:', error);
+    res.status(500).json({ error: 'Ошибка выбора шаблона' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prompts/{name}:
+ *   get:
+ *     summary: Все версии шаблона
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Версии шаблона, начиная с последней
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromptTemplate'
+ *       404:
+ *         description: Шаблон не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const versions = await PromptTemplate.find({ name: req.params.name.toLowerCase() }).sort('-version');
+
+    if (versions.length === 0) {
+      return res.status(404).json({ error: 'Шаблон не найден' });
+    }
+
+    res.json(versions);
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({ error: 'Ошибка получения шаблона' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prompts:
+ *   post:
+ *     summary: Создать шаблон или его новую версию
+ *     description: Если шаблон с таким именем уже есть, сохраняется следующая версия, а прежние версии деактивируются. Текст может содержать переменные {{currency}}, {{currencyHint}}, {{language}} и {{chain}}.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - text
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: magnit
+ *               text:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               extraction:
+ *                 type: string
+ *                 enum: [template, json]
+ *               locale:
+ *                 type: string
+ *                 enum: [ru, kk, be, uk, en]
+ *               currency:
+ *                 type: string
+ *                 enum: [RUB, USD, EUR, KZT, UAH, BYN]
+ *               chain:
+ *                 type: string
+ *                 example: magnit
+ *     responses:
+ *       201:
+ *         description: Созданная версия
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplate'
+ *       400:
+ *         description: Некорректный шаблон
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { template, error } = parseTemplate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const latest = await PromptTemplate.findOne({ name: template.name }).sort('-version');
+
+    const created = await PromptTemplate.create({
+      ...template,
+      version: (latest?.version || 0) + 1,
+      createdBy: req.user._id
+    });
+
+    await PromptTemplate.updateMany(
+      { name: template.name, _id: { $ne: created._id } },
+      { active: false }
+    );
+
+    res.status(201).json(created);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Версия уже создана параллельным запросом, повторите' });
+    }
+    console.error('Create prompt error:', error);
+    res.status(500).json({ error: 'Ошибка создания шаблона' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prompts/{name}/versions/{version}/activate:
+ *   post:
+ *     summary: Сделать версию шаблона активной
+ *     description: Остальные версии шаблона деактивируются. Подходит для отката к прежней версии.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Активная версия
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PromptTemplate'
+ *       404:
+ *         description: Версия не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:name/versions/:version/activate', async (req, res) => {
+  try {
+    const name = req.params.name.toLowerCase();
+    const template = await PromptTemplate.findOne({ name, version: parseInt(req.params.version) || 0 });
+
+    if (!template) {
+      return res.status(404).json({ error: 'Версия не найдена' });
+    }
+
+    await PromptTemplate.updateMany({ name, _id: { $ne: template._id } }, { active: false });
+    template.active = true;
+    await template.save();
+
+    res.json(template);
+  } catch (error) {
+    console.error('Activate prompt error:', error);
+    res.status(500).json({ error: 'Ошибка активации шаблона' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/prompts/{name}:
+ *   delete:
+ *     summary: Отключить шаблон
+ *     description: Все версии деактивируются, но остаются в базе — на них ссылаются сделанные сканирования.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Шаблон отключён
+ *       404:
+ *         description: Шаблон не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:name', async (req, res) => {
+  try {
+    const result = await PromptTemplate.updateMany({ name: req.params.name.toLowerCase() }, { active: false });
+
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Шаблон не найден' });
+    }
+
+    res.json({ message: 'Шаблон отключён' });
+  } catch (error) {
+    console.error('Disable prompt error:', error);
+    res.status(500).json({ error: 'Ошибка отключения шаблона' });
+  }
+});
+
+export default router;
@@ -0,0 +1,456 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import ScanJob, { ACTIVE_JOB_STATUSES } from '../models/ScanJob.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { upload } from '../middleware/upload.js';
+import { enqueueScanJob, waitForScanJob, cancelScanJob, getQueueStats } from '../services/scanQueue.js';
+import { findDuplicateScan, formatDuplicateResult } from '../services/dedup.js';
+import { parseScanOptions, resolveEnsembleModels, resolveScanModel, resolveScanStore } from '../services/scanOptions.js';
+import { computeImageHash } from '../utils/imageHash.js';
+
+const router = express.Router();
+
+// A near-identical image already scanned by the same user with the same
+// options is answered from history unless the client sends force=true.
+// Anonymous scans are never reused, as they have no owner to match.
+const findEarlierScan = async (req, options) => {
+  const force = req.body.force === 'true' || req.body.force === true;
+  if (force || !req.user || options.mode === 'shelf' || options.ensemble.length > 0) return null;
+
+  try {
+    const imageHash = await computeImageHash(req.file.buffer);
+    const duplicate = await findDuplicateScan({ imageHash, userId: req.user._id, options });
+    if (duplicate) {
+      console.log(`Image matches scan ${duplicate.scan._id} (distance ${duplicate.distance}), skipping model call`);
+    }
+    return duplicate;
+  } catch (error) {
+    console.log('Duplicate check failed:', error.message);
+    return null;
+  }
+};
+
+// Options shared by the synchronous scan and the queued one, so both paths
+// resolve them the same way. Returns null after answering with an error.
+const resolveRequestOptions = async (req, res) => {
+  const scanOptions = parseScanOptions(req.body);
+  if (!scanOptions.preprocess) {
+    res.status(400).json({ error: 'Unknown preprocessing preset or step' });
+    return null;
+  }
+
+  const ensemble = await resolveEnsembleModels(req, res);
+  if (!ensemble) return null;
+
+  const model = ensemble.length > 0 ? ensemble[0] : await resolveScanModel(req, res);
+  if (!model) return null;
+
+  const store = await resolveScanStore(req, res);
+  if (store === null) return null;
+
+  // The store's chain picks the chain prompt unless the client sent one
+  const options = { ...scanOptions, chain: scanOptions.chain || store?.chain, storeId: store?._id, model, ensemble };
+
+  return { options, duplicate: await findEarlierScan(req, options) };
+};
+
+const canAccessJob = (job, user) => !job.userId || (user && job.userId.equals(user._id));
+
+const formatJob = (job) => ({
+  id: job._id,
+  status: job.status,
+  options: job.options,
+  progress: job.progress,
+  result: job.result,
+  scanId: job.scanId,
+  error: job.error,
+  errorCode: job.errorCode,
+  attempts: job.attempts,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const findJob = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  const job = await ScanJob.findById(req.params.id).select('-image');
+
+  if (!job) {
+    res.status(404).json({ error: 'Job not found' });
+    return null;
+  }
+
+  if (!canAccessJob(job, req.user)) {
+    res.status(403).json({ error: 'Access denied' });
+    return null;
+  }
+
+  return job;
+};
+
+/**
+ * @swagger
+ * /api/scan:
+ *   post:
+ *     summary: Распознать ценник и дождаться результата
+ *     description: Создаёт задачу сканирования и держит соединение открытым до её завершения.
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               enhanceImage:
+ *                 type: boolean
+ *                 description: То же, что preprocess=enhance
+ *               preprocess:
+ *                 type: string
+ *                 description: Пресет из GET /api/preprocess/presets или шаги через запятую
+ *                 example: auto
+ *               model:
+ *                 type: string
+ *                 description: Модель из GET /api/models, по умолчанию — модель пользователя
+ *               force:
+ *                 type: boolean
+ *                 description: Распознать заново, даже если такое же фото уже сканировалось
+ *               extraction:
+ *                 type: string
+ *                 enum: [template, json]
+ *                 description: json — ответ модели по JSON-схеме, при невалидном JSON используется парсер шаблона
+ *               mode:
+ *                 type: string
+ *                 enum: [single, shelf]
+ *                 default: single
+ *                 description: shelf — найти и распознать все ценники на фото полки
+ *               ensemble:
+ *                 type: boolean
+ *                 description: Распознать несколькими моделями и объединить поля голосованием
+ *               models:
+ *                 type: string
+ *                 description: Модели ансамбля через запятую, по умолчанию — ENSEMBLE_MODELS
+ *                 example: qwen2.5vl:72b,llava:34b
+ *               locale:
+ *                 type: string
+ *                 enum: [ru, kk, be, uk, en]
+ *                 description: Язык ценника, для выбора шаблона промпта
+ *               currency:
+ *                 type: string
+ *                 enum: [RUB, USD, EUR, KZT, UAH, BYN]
+ *                 description: Ожидаемая валюта, для выбора шаблона промпта
+ *               chain:
+ *                 type: string
+ *                 description: Торговая сеть, для выбора шаблона промпта
+ *                 example: magnit
+ *               storeId:
+ *                 type: string
+ *                 description: Магазин из GET /api/stores, по умолчанию — последний магазин пользователя. Его сеть выбирает шаблон промпта, если chain не передан
+ *     responses:
+ *       200:
+ *         description: Результат распознавания
+ *       400:
+ *         description: Нет изображения, модель или магазин не найдены
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: OCR-сервис недоступен (предохранитель разомкнут)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Ошибка сервера
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', optionalAuth, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+
+    console.log('Request body:', req.body);
+
+    const resolved = await resolveRequestOptions(req, res);
+    if (!resolved) return;
+
+    const { options, duplicate } = resolved;
+    if (duplicate) {
+      return res.json(formatDuplicateResult(duplicate));
+    }
+
+    const job = await enqueueScanJob({
+      image: req.file.buffer,
+      mimetype: req.file.mimetype,
+      userId: req.user?._id,
+      options
+    });
+
+    const settled = await waitForScanJob(job._id);
+
+    if (settled?.job.status === 'done') {
+      return res.json({ ...settled.result, jobId: job._id });
+    }
+
+    const message = settled?.job.error || 'Scan was cancelled';
+    const code = settled?.job.errorCode;
+
+    if (code === 'CIRCUIT_OPEN') {
+      return res.status(503).json({
+        error: 'OCR service is unavailable',
+        details: message
+      });
+    }
+
+    if (code === 'MODEL_NOT_FOUND') {
+      return res.status(400).json({
+        error: 'Vision model not found.',
+        details: message
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to process image',
+      details: message
+    });
+  } catch (error) {
+    console.error('Scan error:', error);
+    res.status(500).json({
+      error: 'Failed to process image',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scan/jobs:
+ *   post:
+ *     summary: Поставить сканирование в очередь
+ *     description: Возвращает ID задачи сразу, результат запрашивается через GET /api/scan/jobs/{id}.
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *               enhanceImage:
+ *                 type: boolean
+ *                 description: То же, что preprocess=enhance
+ *               preprocess:
+ *                 type: string
+ *                 description: Пресет из GET /api/preprocess/presets или шаги через запятую
+ *                 example: auto
+ *               model:
+ *                 type: string
+ *                 description: Модель из GET /api/models, по умолчанию — модель пользователя
+ *               force:
+ *                 type: boolean
+ *                 description: Распознать заново, даже если такое же фото уже сканировалось
+ *               extraction:
+ *                 type: string
+ *                 enum: [template, json]
+ *                 description: json — ответ модели по JSON-схеме, при невалидном JSON используется парсер шаблона
+ *               mode:
+ *                 type: string
+ *                 enum: [single, shelf]
+ *                 default: single
+ *                 description: shelf — найти и распознать все ценники на фото полки
+ *               ensemble:
+ *                 type: boolean
+ *                 description: Распознать несколькими моделями и объединить поля голосованием
+ *               models:
+ *                 type: string
+ *                 description: Модели ансамбля через запятую, по умолчанию — ENSEMBLE_MODELS
+ *                 example: qwen2.5vl:72b,llava:34b
+ *               locale:
+ *                 type: string
+ *                 enum: [ru, kk, be, uk, en]
+ *                 description: Язык ценника, для выбора шаблона промпта
+ *               currency:
+ *                 type: string
+ *                 enum: [RUB, USD, EUR, KZT, UAH, BYN]
+ *                 description: Ожидаемая валюта, для выбора шаблона промпта
+ *               chain:
+ *                 type: string
+ *                 description: Торговая сеть, для выбора шаблона промпта
+ *                 example: magnit
+ *               storeId:
+ *                 type: string
+ *                 description: Магазин из GET /api/stores, по умолчанию — последний магазин пользователя. Его сеть выбирает шаблон промпта, если chain не передан
+ *     responses:
+ *       200:
+ *         description: Фото уже сканировалось, задача сразу завершена с прежним результатом
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       202:
+ *         description: Задача создана
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       400:
+ *         description: Нет изображения, модель недоступна или магазин не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/jobs', optionalAuth, upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image provided' });
+    }
+
+    const resolved = await resolveRequestOptions(req, res);
+    if (!resolved) return;
+
+    const { options, duplicate } = resolved;
+    if (duplicate) {
+      const result = formatDuplicateResult(duplicate);
+      const job = await ScanJob.create({
+        userId: req.user?._id,
+        status: 'done',
+        options,
+        result,
+        scanId: duplicate.scan._id,
+        finishedAt: new Date()
+      });
+      return res.json(formatJob(job));
+    }
+
+    const job = await enqueueScanJob({
+      image: req.file.buffer,
+      mimetype: req.file.mimetype,
+      userId: req.user?._id,
+      options
+    });
+
+    res.status(202).json({ ...formatJob(job), queue: getQueueStats() });
+  } catch (error) {
+    console.error('Enqueue scan error:', error);
+    res.status(500).json({ error: 'Failed to queue scan', details: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scan/jobs/{id}:
+ *   get:
+ *     summary: Получить состояние задачи сканирования
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID задачи
+ *     responses:
+ *       200:
+ *         description: Состояние задачи
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       403:
+ *         description: Нет доступа
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Задача не найдена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/jobs/:id', optionalAuth, async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Get scan job error:', error);
+    res.status(500).json({ error: 'Failed to get scan job' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scan/jobs/{id}/cancel:
+ *   post:
+ *     summary: Отменить задачу сканирования
+ *     tags: [Scan]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID задачи
+ *     responses:
+ *       200:
+ *         description: Задача отменена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       409:
+ *         description: Задача уже завершена
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/jobs/:id/cancel', optionalAuth, async (req, res) => {
+  try {
+    const job = await findJob(req, res);
+    if (!job) return;
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      return res.status(409).json({ error: `Job is already ${job.status}` });
+    }
+
+    const cancelled = await cancelScanJob(job);
+    res.json(formatJob(cancelled));
+  } catch (error) {
+    console.error('Cancel scan job error:', error);
+    res.status(500).json({ error: 'Failed to cancel scan job' });
+  }
+});
+
+export default router;
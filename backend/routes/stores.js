@@ -0,0 +1,395 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import Product from '../models/Product.js';
+import { auth } from '../middleware/auth.js';
+import { containsPattern } from '../utils/query.js';
+import { isLatitude, isLongitude, parseNearQuery, withinRadius } from '../utils/geo.js';
+
+const router = express.Router();
+
+// Picks the store fields out of the request body. With partial=true absent
+// fields are left alone; null clears an optional field.
+const parseStore = (body, { partial = false } = {}) => {
+  const store = {};
+
+  if ('name' in body || !partial) {
+    if (typeof body.name !== 'string' || !body.name.trim()) {
+      return { error: 'Название магазина обязательно' };
+    }
+    store.name = body.name.trim();
+  }
+
+  for (const field of ['chain', 'address']) {
+    if (!(field in body)) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `Некорректное значение поля ${field}` };
+    }
+    store[field] = body[field]?.trim() || undefined;
+  }
+
+  if ('latitude' in body || 'longitude' in body) {
+    const { latitude, longitude } = body;
+    if (latitude === null && longitude === null) {
+      store.location = undefined;
+    } else if (isLatitude(latitude) && isLongitude(longitude)) {
+      store.location = { type: 'Point', coordinates: [longitude, latitude] };
+    } else {
+      return { error: 'Координаты: latitude от -90 до 90 и longitude от -180 до 180' };
+    }
+  }
+
+  return { store };
+};
+
+const findStore = async (req, res) => {
+  const store = mongoose.isValidObjectId(req.params.id) ? await Store.findById(req.params.id) : null;
+
+  if (!store) {
+    res.status(404).json({ error: 'Магазин не найден' });
+    return null;
+  }
+
+  return store;
+};
+
+// Stores are shared; only the user who added one, or an admin, may change it
+const canEditStore = (store, user) => user.role === 'admin' || store.createdBy?.equals(user._id);
+
+/**
+ * @swagger
+ * /api/stores:
+ *   get:
+ *     summary: Список магазинов
+ *     tags: [Stores]
+ *     parameters:
+ *       - in: query
+ *         name: chain
+ *         schema:
+ *           type: string
+ *         description: Торговая сеть
+ *         example: magnit
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Поиск по названию и адресу
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *         description: Широта точки, рядом с которой искать магазины
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *         description: Долгота точки, рядом с которой искать магазины
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *         description: Радиус поиска в метрах
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Магазины
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Store'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *       400:
+ *         description: Некорректные координаты
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { chain, search, page = 1, limit = 50 } = req.query;
+
+    const query = {};
+
+    if (chain) {
+      query.chain = chain.toLowerCase();
+    }
+
+    if (search) {
+      query.$or = [{ name: containsPattern(search) }, { address: containsPattern(search) }];
+    }
+
+    const { near, error } = parseNearQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (near) {
+      query.location = withinRadius(near);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [stores, total] = await Promise.all([
+      Store.find(query).sort({ chain: 1, name: 1 }).skip(skip).limit(parseInt(limit)),
+      Store.countDocuments(query)
+    ]);
+
+    res.json({
+      items: stores,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('List stores error:', error);
+    res.status(500).json({ error: 'Ошибка получения магазинов' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   get:
+ *     summary: Получить магазин
+ *     tags: [Stores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Магазин
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Store'
+ *       404:
+ *         description: Магазин не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const store = await findStore(req, res);
+    if (!store) return;
+
+    res.json(store);
+  } catch (error) {
+    console.error('Get store error:', error);
+    res.status(500).json({ error: 'Ошибка получения магазина' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores:
+ *   post:
+ *     summary: Добавить магазин
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       201:
+ *         description: Добавленный магазин
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Некорректные данные
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Не авторизован
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { store, error } = parseStore(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await Store.create({ ...store, createdBy: req.user._id });
+
+    res.status(201).json(created);
+  } catch (error) {
+    console.error('Create store error:', error);
+    res.status(500).json({ error: 'Ошибка добавления магазина' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   patch:
+ *     summary: Изменить магазин
+ *     description: Изменить магазин может добавивший его пользователь или администратор. Переданные поля заменяются, null очищает поле.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StoreInput'
+ *     responses:
+ *       200:
+ *         description: Изменённый магазин
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Store'
+ *       400:
+ *         description: Некорректные данные
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Нет прав на изменение
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Магазин не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', auth, async (req, res) => {
+  try {
+    const store = await findStore(req, res);
+    if (!store) return;
+
+    if (!canEditStore(store, req.user)) {
+      return res.status(403).json({ error: 'Нет прав на изменение магазина' });
+    }
+
+    const { store: changes, error } = parseStore(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    store.set(changes);
+    await store.save();
+
+    res.json(store);
+  } catch (error) {
+    console.error('Update store error:', error);
+    res.status(500).json({ error: 'Ошибка изменения магазина' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}:
+ *   delete:
+ *     summary: Удалить магазин
+ *     description: Магазин, на который ссылается история цен, удалить нельзя.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Магазин удалён
+ *       403:
+ *         description: Нет прав на удаление
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Магазин не найден
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Магазин используется в истории цен
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const store = await findStore(req, res);
+    if (!store) return;
+
+    if (!canEditStore(store, req.user)) {
+      return res.status(403).json({ error: 'Нет прав на удаление магазина' });
+    }
+
+    if (await Product.exists({ 'priceHistory.storeId': store._id })) {
+      return res.status(409).json({ error: 'Магазин используется в истории цен' });
+    }
+
+    await store.deleteOne();
+
+    res.json({ message: 'Магазин удалён' });
+  } catch (error) {
+    console.error('Delete store error:', error);
+    res.status(500).json({ error: 'Ошибка удаления магазина' });
+  }
+});
+
+export default router;
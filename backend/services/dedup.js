@@ -0,0 +1,139 @@
+import ScanHistory from '../models/ScanHistory.js';
+import { hammingDistance } from '../utils/imageHash.js';
+import { getCurrencySymbol } from '../utils/parser.js';
+
+const CANDIDATE_LIMIT = 2000;
+
+export const getDuplicateDistance = () => {
+  const value = parseInt(process.env.DUPLICATE_HASH_DISTANCE);
+  return Number.isNaN(value) ? 5 : value;
+};
+
+// Scans whose newest hashed records are compared with each other for clusters
+const CLUSTER_SCAN_LIMIT = 1000;
+
+const ownerQuery = (userId) => (userId ? { userId } : { userId: { $exists: false } });
+
+// An earlier scan only stands in for a new one when it was made with the
+// same options; null matches a field that was not set
+const sameOptionsQuery = ({ model, extraction, preprocess, storeId, locale, currency, chain }) => ({
+  model,
+  'extraction.mode': extraction,
+  preprocessing: preprocess,
+  storeId: storeId ?? null,
+  'prompt.locale': locale ?? null,
+  'prompt.currency': currency ?? null,
+  'prompt.chain': chain ?? null
+});
+
+// Only a signed-in user's own scans are reused: anonymous scans share no owner
+export const findDuplicateScan = async ({ imageHash, userId, options }) => {
+  if (!userId) return null;
+
+  const maxDistance = getDuplicateDistance();
+  const query = { userId, ...sameOptionsQuery(options) };
+
+  const exact = await ScanHistory.findOne({ ...query, imageHash }).sort('-createdAt');
+  if (exact) return { scan: exact, distance: 0 };
+  if (maxDistance === 0) return null;
+
+  const candidates = await ScanHistory.find({ ...query, imageHash: { $exists: true } })
+    .select('_id imageHash')
+    .sort('-createdAt')
+    .limit(CANDIDATE_LIMIT);
+
+  let best = null;
+  for (const candidate of candidates) {
+    const distance = hammingDistance(imageHash, candidate.imageHash);
+    if (distance <= maxDistance && (!best || distance < best.distance)) {
+      best = { id: candidate._id, distance };
+    }
+  }
+
+  if (!best) return null;
+  return { scan: await ScanHistory.findById(best.id), distance: best.distance };
+};
+
+// Shapes a stored scan like a fresh /api/scan response
+export const formatDuplicateResult = ({ scan, distance }) => {
+  const { rawText, ...parsed } = scan.extractedData?.toObject() || {};
+
+  return {
+    id: scan._id,
+    text: scan.originalText,
+    parsed: {
+      ...parsed,
+      currencySymbol: getCurrencySymbol(parsed.currency)
+    },
+    productId: scan.productId,
+    model: scan.model,
+    extraction: scan.extraction,
+    processingTime: 0,
+    imageEnhanced: false,
+    enhancedImageData: null,
+    duplicate: {
+      of: scan._id,
+      distance,
+      scannedAt: scan.createdAt
+    },
+    timestamp: new Date().toISOString()
+  };
+};
+
+const toClusterScan = (scan) => ({
+  _id: scan._id,
+  imageHash: scan.imageHash,
+  createdAt: scan.createdAt,
+  model: scan.model,
+  extractedData: scan.extractedData,
+  thumbnailUrl: `/api/history/${scan._id}/image?variant=thumbnail`
+});
+
+// Pairwise comparison is quadratic, so only the newest scans are grouped
+export const findDuplicateClusters = async (userId) => {
+  const maxDistance = getDuplicateDistance();
+  const scans = (await ScanHistory.find({ ...ownerQuery(userId), imageHash: { $exists: true } })
+    .select('_id imageHash createdAt model extractedData.productName extractedData.price extractedData.currency')
+    .sort('-createdAt')
+    .limit(CLUSTER_SCAN_LIMIT)
+    .lean())
+    .reverse()
+    .map(toClusterScan);
+
+  const parent = scans.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < scans.length; i++) {
+    for (let j = i + 1; j < scans.length; j++) {
+      if (hammingDistance(scans[i].imageHash, scans[j].imageHash) <= maxDistance) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  scans.forEach((scan, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(scan);
+  });
+
+  const found = [...clusters.values()]
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => ({
+      imageHash: cluster[0].imageHash,
+      count: cluster.length,
+      firstScannedAt: cluster[0].createdAt,
+      lastScannedAt: cluster[cluster.length - 1].createdAt,
+      scans: cluster
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return { clusters: found, checked: scans.length, limit: CLUSTER_SCAN_LIMIT };
+};
+
+export default {
+  findDuplicateScan,
+  formatDuplicateResult,
+  findDuplicateClusters
+};
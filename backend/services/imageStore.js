@@ -0,0 +1,99 @@
+import sharp from 'sharp';
+import { getStorage } from '../storage/index.js';
+
+export const IMAGE_VARIANTS = ['original', 'enhanced', 'thumbnail'];
+
+const THUMBNAIL_SIZE = 200;
+const MIN_SIZE = 16;
+const MAX_SIZE = 4096;
+
+export const storeImage = async (buffer, { contentType, filename } = {}) => {
+  const storage = getStorage();
+  const { width, height } = await sharp(buffer).metadata().catch(() => ({}));
+  const key = await storage.save(buffer, { contentType, filename });
+
+  return {
+    storage: storage.name,
+    key,
+    contentType,
+    size: buffer.length,
+    width,
+    height
+  };
+};
+
+// A storage failure is logged and the image skipped, so a broken backend
+// costs the copy of the image but never the scan itself.
+export const storeScanImages = async ({ scanId, original, mimetype, enhanced }) => {
+  const images = {};
+
+  try {
+    images.original = await storeImage(original, { contentType: mimetype, filename: `${scanId}-original` });
+    if (enhanced) {
+      images.enhanced = await storeImage(enhanced, { contentType: 'image/png', filename: `${scanId}-enhanced` });
+    }
+  } catch (error) {
+    console.error('Image storage failed:', error.message);
+  }
+
+  return images;
+};
+
+export const readImage = async (ref) => {
+  if (!ref?.key) return null;
+  return getStorage(ref.storage).read(ref.key);
+};
+
+export const removeImages = async (images) => {
+  const refs = Object.values(images?.toObject?.() ?? images ?? {});
+
+  for (const ref of refs) {
+    if (!ref?.key) continue;
+    try {
+      await getStorage(ref.storage).remove(ref.key);
+    } catch (error) {
+      console.error(`Failed to remove image ${ref.key}:`, error.message);
+    }
+  }
+};
+
+// Inline data URL thumbnails of records saved before images were stored
+export const decodeDataUrl = (dataUrl) => {
+  const [, contentType, data] = dataUrl?.match(/^data:([^;]+);base64,(.*)$/s) || [];
+  return data ? { buffer: Buffer.from(data, 'base64'), contentType } : null;
+};
+
+export const parseImageSize = (value) => {
+  if (value === undefined) return null;
+  const size = parseInt(value);
+  return Number.isNaN(size) ? NaN : Math.min(Math.max(size, MIN_SIZE), MAX_SIZE);
+};
+
+// Originals are sent as stored; thumbnails and sized copies are rendered
+// on request as JPEG, never larger than the stored image.
+export const renderImageVariant = async (buffer, { contentType, variant, size }) => {
+  const width = variant === 'thumbnail' ? (size || THUMBNAIL_SIZE) : size;
+
+  if (!width) {
+    return { buffer, contentType: contentType || 'application/octet-stream' };
+  }
+
+  const resized = await sharp(buffer)
+    .rotate()
+    .resize(width, width, { fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: variant === 'thumbnail' ? 70 : 85 })
+    .toBuffer();
+
+  return { buffer: resized, contentType: 'image/jpeg' };
+};
+
+export default {
+  IMAGE_VARIANTS,
+  storeImage,
+  storeScanImages,
+  readImage,
+  removeImages,
+  decodeDataUrl,
+  parseImageSize,
+  renderImageVariant
+};
@@ -0,0 +1,45 @@
+import { getProvider } from '../providers/index.js';
+
+const CACHE_TTL = 30 * 1000;
+
+let cache = { models: null, expiresAt: 0 };
+
+export const listAvailableModels = async ({ refresh = false } = {}) => {
+  if (refresh || !cache.models || Date.now() > cache.expiresAt) {
+    cache = {
+      models: await getProvider().listModels(),
+      expiresAt: Date.now() + CACHE_TTL
+    };
+  }
+  return cache.models;
+};
+
+// Returns the installed model name ("llava" also matches "llava:latest"),
+// or null when the provider does not have it.
+export const findAvailableModel = async (name) => {
+  const models = await listAvailableModels();
+  const model = models.find(m => m.name === name)
+    || models.find(m => m.name === `${name}:latest`);
+  return model ? model.name : null;
+};
+
+export const getDefaultModel = async (user) => {
+  const fallback = getProvider().defaultModel;
+
+  if (!user?.defaultModel) return fallback;
+
+  try {
+    const model = await findAvailableModel(user.defaultModel);
+    if (model) return model;
+    console.warn(`Default model ${user.defaultModel} of user ${user._id} is not available, using ${fallback}`);
+    return fallback;
+  } catch (error) {
+    return user.defaultModel;
+  }
+};
+
+export default {
+  listAvailableModels,
+  findAvailableModel,
+  getDefaultModel
+};
@@ -0,0 +1,123 @@
+import Product from '../models/Product.js';
+
+const toPricePoint = (data, { scanId, userId, storeId, scannedAt }) => ({
+  price: data.price,
+  originalPrice: data.originalPrice,
+  regularPrice: data.regularPrice ?? data.price,
+  cardPrice: data.cardPrice,
+  cardProgram: data.cardProgram,
+  currency: data.currency,
+  isPromo: data.isPromo,
+  promo: data.promo || undefined,
+  promoStartsAt: data.promoStartsAt,
+  promoEndsAt: data.promoEndsAt,
+  printedAt: data.printedAt,
+  expiresAt: data.expiresAt,
+  userId,
+  scanId,
+  storeId,
+  scannedAt
+});
+
+// Finds the product for the scanned barcode (creating it on first sight),
+// fills in missing details and records the price point of this scan.
+export const linkScanToProduct = async ({ scanId, userId, storeId, data, productName, scannedAt = new Date() }) => {
+  if (!data.barcode) return null;
+
+  let product = await Product.findOne({ barcode: data.barcode });
+
+  if (!product) {
+    product = new Product({
+      barcode: data.barcode,
+      name: productName,
+      unit: data.unit
+    });
+  }
+
+  if (data.brand && !product.brand) {
+    product.brand = data.brand;
+  }
+  if (data.composition && !product.composition) {
+    product.composition = data.composition;
+  }
+  if (data.quantity?.base && !product.quantity?.base) {
+    product.quantity = data.quantity;
+  }
+
+  if (data.price) {
+    product.priceHistory.push(toPricePoint(data, { scanId, userId, storeId, scannedAt }));
+  }
+
+  await product.save();
+  return product._id;
+};
+
+// Price points written before they carried a scanId are matched by owner,
+// price and time instead.
+const findPricePoint = (product, scan, price) => {
+  const point = product.priceHistory.find(p => p.scanId?.equals(scan._id));
+  if (point) return point;
+
+  return product.priceHistory.find(p =>
+    !p.scanId &&
+    p.price === price &&
+    String(p.userId) === String(scan.userId) &&
+    Math.abs(p.scannedAt - scan.createdAt) < 60 * 1000
+  );
+};
+
+export const removeScanPricePoint = async (scan, price = scan.extractedData?.price) => {
+  if (!scan.productId) return;
+
+  const product = await Product.findById(scan.productId);
+  if (!product) return;
+
+  const point = findPricePoint(product, scan, price);
+  if (!point) return;
+
+  product.priceHistory.pull(point._id);
+  await product.save();
+};
+
+// Brings the product side in line with corrected scan data: the price point
+// is updated in place, or moved to another product when the barcode changed.
+export const syncScanPricePoint = async (scan, previous) => {
+  const data = scan.extractedData;
+
+  if (previous.barcode !== data.barcode) {
+    await removeScanPricePoint(scan, previous.price);
+    scan.productId = await linkScanToProduct({
+      scanId: scan._id,
+      userId: scan.userId,
+      storeId: scan.storeId,
+      data,
+      productName: data.productName,
+      scannedAt: scan.createdAt
+    });
+    return;
+  }
+
+  if (!scan.productId) return;
+
+  const product = await Product.findById(scan.productId);
+  if (!product) return;
+
+  const point = findPricePoint(product, scan, previous.price);
+
+  if (!data.price) {
+    if (point) product.priceHistory.pull(point._id);
+  } else if (point) {
+    point.set(toPricePoint(data, { scanId: scan._id, userId: scan.userId, storeId: scan.storeId, scannedAt: point.scannedAt }));
+  } else {
+    product.priceHistory.push(toPricePoint(data, { scanId: scan._id, userId: scan.userId, storeId: scan.storeId, scannedAt: scan.createdAt }));
+    product.priceHistory.sort((a, b) => a.scannedAt - b.scannedAt);
+  }
+
+  await product.save();
+};
+
+export default {
+  linkScanToProduct,
+  removeScanPricePoint,
+  syncScanPricePoint
+};
@@ -0,0 +1,73 @@
+import PromptTemplate from '../models/PromptTemplate.js';
+import { OCR_PROMPT, STRUCTURED_PROMPT, getPromptVariables, renderPrompt } from '../utils/prompt.js';
+
+export const BUILTIN_PROMPT_NAME = 'builtin';
+
+const builtinTemplate = (extraction) => ({
+  name: BUILTIN_PROMPT_NAME,
+  version: 0,
+  extraction,
+  text: extraction === 'json' ? STRUCTURED_PROMPT : OCR_PROMPT
+});
+
+const SPECIFICITY = { chain: 4, currency: 2, locale: 1 };
+
+// A template only applies when every criterion it sets matches the scan.
+// A chain match outweighs currency and locale together.
+const scoreTemplate = (template, hints) => {
+  let score = 0;
+
+  for (const [field, weight] of Object.entries(SPECIFICITY)) {
+    if (!template[field]) continue;
+    if (template[field] !== hints[field]) return -1;
+    score += weight;
+  }
+
+  return score;
+};
+
+// The most specific active template for the scan, the newest one on a tie,
+// or the built-in prompt when none applies.
+export const selectPromptTemplate = async ({ extraction = 'template', locale, currency, chain } = {}) => {
+  let templates = [];
+  try {
+    templates = await PromptTemplate.find({ active: true, extraction }).sort('-createdAt').lean();
+  } catch (error) {
+    console.log('Prompt templates unavailable, using the built-in prompt:', error.message);
+  }
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const template of templates) {
+    const score = scoreTemplate(template, { locale, currency, chain });
+    if (score > bestScore) {
+      best = template;
+      bestScore = score;
+    }
+  }
+
+  return best || builtinTemplate(extraction);
+};
+
+export const resolvePrompt = async ({ extraction = 'template', locale, currency, chain } = {}) => {
+  const template = await selectPromptTemplate({ extraction, locale, currency, chain });
+
+  return {
+    text: renderPrompt(template.text, getPromptVariables({ locale, currency, chain })),
+    ref: {
+      templateId: template._id,
+      name: template.name,
+      version: template.version,
+      locale,
+      currency,
+      chain
+    }
+  };
+};
+
+export default {
+  BUILTIN_PROMPT_NAME,
+  selectPromptTemplate,
+  resolvePrompt
+};
@@ -0,0 +1,36 @@
+import { REVISION_FIELDS } from '../models/ScanHistory.js';
+import { syncScanPricePoint } from './priceHistory.js';
+
+const toPlain = (value) => (value?.toObject ? value.toObject() : value);
+
+// Scans made before their first re-run keep the only result on the record
+// itself; it becomes the first, accepted revision.
+export const ensureInitialRevision = (scan) => {
+  if (scan.revisions.length > 0) return;
+
+  const revision = { source: 'scan', userId: scan.userId, createdAt: scan.createdAt };
+  for (const field of REVISION_FIELDS) {
+    revision[field] = toPlain(scan[field]);
+  }
+
+  scan.revisions.push(revision);
+  scan.acceptedRevisionId = scan.revisions[0]._id;
+};
+
+// Copies the revision onto the record and moves the product price point to
+// match, the same way a manual correction does.
+export const acceptRevision = async (scan, revision) => {
+  const previous = toPlain(scan.extractedData) || {};
+
+  for (const field of REVISION_FIELDS) {
+    scan[field] = toPlain(revision[field]);
+  }
+  scan.acceptedRevisionId = revision._id;
+
+  await syncScanPricePoint(scan, previous);
+};
+
+export default {
+  ensureInitialRevision,
+  acceptRevision
+};
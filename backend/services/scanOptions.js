@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+import Store from '../models/Store.js';
+import { findAvailableModel, getDefaultModel } from './models.js';
+import { EXTRACTION_MODES } from '../utils/extraction.js';
+import { resolvePreprocessSteps } from '../utils/preprocess.js';
+import { SUPPORTED_CURRENCIES } from '../utils/parser.js';
+import { SUPPORTED_LOCALES } from '../utils/prompt.js';
+
+const getDefaultExtraction = () => {
+  const mode = process.env.EXTRACTION_MODE;
+  return EXTRACTION_MODES.includes(mode) ? mode : 'template';
+};
+
+const normalizeHint = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// Hints that pick the prompt template; unknown locales and currencies are dropped
+const parsePromptHints = (body) => {
+  const locale = normalizeHint(body.locale)?.toLowerCase();
+  const currency = normalizeHint(body.currency)?.toUpperCase();
+
+  return {
+    locale: SUPPORTED_LOCALES.includes(locale) ? locale : undefined,
+    currency: SUPPORTED_CURRENCIES.includes(currency) ? currency : undefined,
+    chain: normalizeHint(body.chain)?.toLowerCase()
+  };
+};
+
+// enhanceImage=true is kept as a shortcut for the "enhance" preset
+export const parseScanOptions = (body) => {
+  const enhanceImage = body.enhanceImage === 'true' || body.enhanceImage === true;
+
+  return {
+    enhanceImage,
+    preprocess: resolvePreprocessSteps(body.preprocess || (enhanceImage ? 'enhance' : 'none')),
+    mode: body.mode === 'shelf' ? 'shelf' : 'single',
+    extraction: EXTRACTION_MODES.includes(body.extraction) ? body.extraction : getDefaultExtraction(),
+    ...parsePromptHints(body)
+  };
+};
+
+// Resolves the model for a scan: the requested one if it is installed,
+// otherwise the user's default, otherwise the provider's default.
+export const resolveScanModel = async (req, res) => {
+  const requested = typeof req.body.model === 'string' ? req.body.model.trim() : '';
+
+  if (!requested) {
+    return getDefaultModel(req.user);
+  }
+
+  const model = await findAvailableModel(requested);
+  if (!model) {
+    res.status(400).json({ error: `Model "${requested}" is not available` });
+    return null;
+  }
+
+  return model;
+};
+
+// The store named by storeId, otherwise the store the user scanned in last.
+// A store named explicitly becomes the user's last-used one. Returns undefined
+// when no store applies and null after answering with an error.
+export const resolveScanStore = async (req, res) => {
+  const requested = typeof req.body.storeId === 'string' ? req.body.storeId.trim() : '';
+
+  if (!requested) {
+    if (!req.user?.lastStoreId) return undefined;
+    return (await Store.findById(req.user.lastStoreId)) ?? undefined;
+  }
+
+  const store = mongoose.isValidObjectId(requested) ? await Store.findById(requested) : null;
+  if (!store) {
+    res.status(400).json({ error: `Store "${requested}" not found` });
+    return null;
+  }
+
+  if (req.user && !store._id.equals(req.user.lastStoreId)) {
+    req.user.lastStoreId = store._id;
+    await req.user.save();
+  }
+
+  return store;
+};
+
+const getConfiguredEnsemble = () => (process.env.ENSEMBLE_MODELS || '')
+  .split(',')
+  .map(m => m.trim())
+  .filter(Boolean);
+
+// With ensemble=true the scan runs through the models listed in `models`
+// (comma separated) or, by default, in ENSEMBLE_MODELS. Returns [] when no
+// ensemble was asked for and null after answering with an error.
+export const resolveEnsembleModels = async (req, res) => {
+  const requested = req.body.ensemble === 'true' || req.body.ensemble === true;
+  if (!requested) return [];
+
+  const names = req.body.models
+    ? [].concat(req.body.models).flatMap(m => String(m).split(',')).map(m => m.trim()).filter(Boolean)
+    : getConfiguredEnsemble();
+
+  const models = [];
+  for (const name of names) {
+    const model = await findAvailableModel(name);
+    if (!model) {
+      res.status(400).json({ error: `Model "${name}" is not available` });
+      return null;
+    }
+    if (!models.includes(model)) models.push(model);
+  }
+
+  if (models.length < 2) {
+    res.status(400).json({ error: 'Ensemble scan needs at least two different models' });
+    return null;
+  }
+
+  return models;
+};
+
+export default {
+  parseScanOptions,
+  resolveScanModel,
+  resolveScanStore,
+  resolveEnsembleModels
+};
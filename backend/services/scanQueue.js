@@ -0,0 +1,191 @@
+import ScanJob, { ACTIVE_JOB_STATUSES } from '../models/ScanJob.js';
+import { runRescan, runScan, runShelfScan } from './scanner.js';
+import { PREPROCESS_PRESETS } from '../utils/preprocess.js';
+
+const pending = [];
+const running = new Map();
+const waiters = new Map();
+
+const RUNNERS = {
+  single: runScan,
+  shelf: runShelfScan,
+  rescan: runRescan
+};
+
+const getConcurrency = () => parseInt(process.env.SCAN_CONCURRENCY) || 1;
+
+const notify = (jobId, job) => {
+  const callbacks = waiters.get(jobId) || [];
+  waiters.delete(jobId);
+  callbacks.forEach(resolve => resolve(job));
+};
+
+const processJob = async (jobId) => {
+  const controller = new AbortController();
+  running.set(jobId, controller);
+
+  let job = null;
+  let result = null;
+
+  try {
+    job = await ScanJob.findById(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    job.startedAt = new Date();
+    job.attempts += 1;
+
+    const run = RUNNERS[job.options?.mode] || runScan;
+
+    result = await run({
+      image: job.image,
+      scanId: job.options?.rescanOf,
+      accept: job.options?.accept,
+      mimetype: job.mimetype,
+      userId: job.userId,
+      storeId: job.options?.storeId,
+      preprocess: job.options?.preprocess?.length
+        ? job.options.preprocess
+        : (job.options?.enhanceImage ? PREPROCESS_PRESETS.enhance : []),
+      model: job.options?.model,
+      ensemble: job.options?.ensemble,
+      extraction: job.options?.extraction,
+      hints: {
+        locale: job.options?.locale,
+        currency: job.options?.currency,
+        chain: job.options?.chain
+      },
+      signal: controller.signal,
+      onStage: async (stage, progress) => {
+        job.status = stage;
+        if (progress) job.progress = progress;
+        await job.save();
+      }
+    });
+
+    // The preprocessed PNG can be several times the upload size, so it is only
+    // handed to in-process waiters and never written to the job document.
+    const { enhancedImageData, ...storedResult } = result;
+
+    job.status = 'done';
+    job.result = storedResult;
+    job.scanId = result.id;
+    job.image = undefined;
+    job.finishedAt = new Date();
+  } catch (error) {
+    if (!job) {
+      console.error(`Scan job ${jobId} could not be loaded:`, error);
+      return;
+    }
+
+    if (controller.signal.aborted) {
+      job.status = 'cancelled';
+    } else {
+      console.error(`Scan job ${jobId} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.errorCode = typeof error.code === 'string' ? error.code : undefined;
+    }
+    job.image = undefined;
+    job.finishedAt = new Date();
+  } finally {
+    if (job?.isModified()) {
+      try {
+        await job.save();
+      } catch (e) {
+        console.error(`Scan job ${jobId} could not be saved:`, e.message);
+      }
+    }
+
+    running.delete(jobId);
+    notify(jobId, job && { job, result });
+    drain();
+  }
+};
+
+const drain = () => {
+  while (running.size < getConcurrency() && pending.length > 0) {
+    processJob(pending.shift());
+  }
+};
+
+export const enqueueScanJob = async ({ image, mimetype, userId, options = {} }) => {
+  const job = await ScanJob.create({
+    userId,
+    image,
+    mimetype,
+    options
+  });
+
+  pending.push(job._id.toString());
+  drain();
+
+  return job;
+};
+
+export const waitForScanJob = (jobId) => {
+  const id = jobId.toString();
+  return new Promise(resolve => {
+    if (!waiters.has(id)) waiters.set(id, []);
+    waiters.get(id).push(resolve);
+  });
+};
+
+export const cancelScanJob = async (job) => {
+  const id = job._id.toString();
+
+  if (running.has(id)) {
+    const settled = waitForScanJob(id);
+    running.get(id).abort();
+    return (await settled)?.job || job;
+  }
+
+  const index = pending.indexOf(id);
+  if (index !== -1) pending.splice(index, 1);
+
+  job.status = 'cancelled';
+  job.finishedAt = new Date();
+  job.image = undefined;
+  await job.save();
+  notify(id, { job, result: null });
+
+  return job;
+};
+
+export const getQueueStats = () => ({
+  pending: pending.length,
+  running: running.size,
+  concurrency: getConcurrency()
+});
+
+export const resumeScanJobs = async () => {
+  try {
+    const jobs = await ScanJob.find({ status: { $in: ACTIVE_JOB_STATUSES } })
+      .select('_id status')
+      .sort('createdAt');
+
+    for (const job of jobs) {
+      if (job.status !== 'queued') {
+        await ScanJob.updateOne({ _id: job._id }, { status: 'queued' });
+      }
+      const id = job._id.toString();
+      if (!pending.includes(id) && !running.has(id)) {
+        pending.push(id);
+      }
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Resumed ${jobs.length} unfinished scan job(s)`);
+    }
+    drain();
+  } catch (error) {
+    console.error('Failed to resume scan jobs:', error.message);
+  }
+};
+
+export default {
+  enqueueScanJob,
+  waitForScanJob,
+  cancelScanJob,
+  getQueueStats,
+  resumeScanJobs
+};
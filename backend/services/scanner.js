@@ -0,0 +1,432 @@
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+
+import { extractFields, EXTRACTION_SCHEMA } from '../utils/extraction.js';
+import { computeImageHash } from '../utils/imageHash.js';
+import { decodeBarcode } from '../utils/barcodeDecoder.js';
+import { normalizeGtin } from '../utils/gtin.js';
+import { scoreExtraction } from '../utils/confidence.js';
+import { voteFields } from '../utils/ensemble.js';
+import { applyPreprocessing } from '../utils/preprocess.js';
+import { detectTagRegions, isInsideImage, sortByReadingOrder, toPixelBox } from '../utils/tagDetector.js';
+import { getProvider } from '../providers/index.js';
+import ScanHistory from '../models/ScanHistory.js';
+import ShelfScan from '../models/ShelfScan.js';
+import { linkScanToProduct, removeScanPricePoint } from './priceHistory.js';
+import { readImage, removeImages, storeImage, storeScanImages } from './imageStore.js';
+import { acceptRevision, ensureInitialRevision } from './revisions.js';
+import { resolvePrompt } from './prompts.js';
+
+// Runs the image through each model in turn. In an ensemble a failing model
+// is recorded and skipped as long as at least one other model answers.
+const recognizeWithModels = async ({ provider, image, models, prompt, extraction, signal }) => {
+  const outputs = [];
+  const errors = [];
+
+  for (const name of models) {
+    signal?.throwIfAborted();
+    const startedAt = Date.now();
+
+    try {
+      const { text, model } = await provider.recognize({
+        image,
+        prompt,
+        format: extraction === 'json' ? EXTRACTION_SCHEMA : undefined,
+        model: name,
+        signal
+      });
+      outputs.push({ model, text, processingTime: Date.now() - startedAt });
+    } catch (error) {
+      if (signal?.aborted || models.length === 1) throw error;
+      console.log(`Ensemble model ${name} failed:`, error.message);
+      errors.push(error);
+      outputs.push({ model: name, error: error.message, processingTime: Date.now() - startedAt });
+    }
+  }
+
+  // The first error is rethrown as is, so its code still tells why it failed
+  if (outputs.every(o => o.error)) {
+    throw errors[0];
+  }
+
+  return outputs;
+};
+
+const formatEnsemble = (outputs, answered, vote) => ({
+  models: outputs.map(o => o.model),
+  outputs: outputs.map(o => ({
+    model: o.model,
+    text: o.text,
+    parsed: answered.find(a => a.model === o.model)?.parsed,
+    processingTime: o.processingTime,
+    error: o.error
+  })),
+  agreement: vote.agreement,
+  disagreements: vote.disagreements
+});
+
+// Preprocessing, OCR, parsing and scoring of one image. Nothing is saved:
+// the returned revision is what a scan record or a re-scan stores.
+const analyzeImage = async ({ image, preprocess = [], model: requestedModel, ensemble = [], extraction = 'template', hints = {}, scannedAt = new Date(), signal, onStage }) => {
+  const startTime = Date.now();
+  const provider = getProvider();
+
+  await onStage('preprocessing');
+
+  const { buffer: processedBuffer, applied: preprocessing } = await applyPreprocessing(image, preprocess);
+
+  console.log(`Preprocessing applied: ${preprocessing.join(', ') || 'none'}`);
+
+  signal?.throwIfAborted();
+  await onStage('inferring');
+
+  const models = ensemble.length > 1 ? ensemble : [requestedModel];
+
+  console.log(`Processing image with provider: ${provider.name}, model: ${models.map(m => m || provider.defaultModel).join(', ')}`);
+  console.log(`Image size: ${image.length} bytes`);
+
+  const prompt = await resolvePrompt({ extraction, ...hints });
+  console.log(`Prompt: ${prompt.ref.name} v${prompt.ref.version}`);
+
+  const outputs = await recognizeWithModels({ provider, image: processedBuffer, models, prompt: prompt.text, extraction, signal });
+
+  const processingTime = Date.now() - startTime;
+
+  console.log('Extraction complete');
+
+  signal?.throwIfAborted();
+  await onStage('parsing');
+
+  const answered = outputs
+    .filter(o => !o.error)
+    .map(o => ({ ...o, ...extractFields(o.text, extraction, { reference: scannedAt }) }));
+  const [primary] = answered;
+  const { text: extractedText, model, path: extractionPath, errors: extractionErrors, structured } = primary;
+
+  const vote = models.length > 1 ? voteFields(answered) : null;
+  const parsed = vote ? vote.parsed : primary.parsed;
+  if (vote?.disagreements.length) {
+    console.log(`Ensemble disagreed on: ${vote.disagreements.map(d => d.field).join(', ')}`);
+  }
+
+  const { productName: parsedName, ...parsedData } = parsed;
+  const productName = parsedName || 'Неизвестный товар';
+
+  let decoded = null;
+  try {
+    decoded = await decodeBarcode(image);
+  } catch (e) {
+    console.log('Barcode decoding failed:', e.message);
+  }
+
+  const barcodeCheck = crossCheckBarcode(parsedData.barcode, decoded);
+  if (barcodeCheck.mismatch) {
+    console.log(`Barcode mismatch: OCR ${barcodeCheck.ocr}, decoded ${barcodeCheck.decoded}`);
+  }
+  parsedData.barcode = normalizeGtin(barcodeCheck.decoded || barcodeCheck.ocr);
+
+  const confidence = scoreExtraction({
+    text: extractedText,
+    parsed: { ...parsedData, productName: parsedName },
+    path: extractionPath,
+    structured,
+    barcodeCheck,
+    conflicts: vote?.disagreements.map(d => d.field)
+  });
+  if (confidence.needsReview) {
+    console.log(`Scan needs review: ${confidence.reasons.join('; ')}`);
+  }
+
+  return {
+    processedBuffer,
+    parsed: { ...parsedData, productName },
+    confidence,
+    extractionErrors,
+    revision: {
+      originalText: extractedText,
+      extractedData: {
+        productName,
+        price: parsedData.price,
+        originalPrice: parsedData.originalPrice,
+        regularPrice: parsedData.regularPrice,
+        cardPrice: parsedData.cardPrice,
+        cardProgram: parsedData.cardProgram,
+        pricePerUnit: parsedData.pricePerUnit,
+        quantity: parsedData.quantity,
+        unitPrice: parsedData.unitPrice,
+        unit: parsedData.unit,
+        currency: parsedData.currency,
+        barcode: parsedData.barcode,
+        brand: parsedData.brand,
+        composition: parsedData.composition,
+        expiryDate: parsedData.expiryDate,
+        expiresAt: parsedData.expiresAt,
+        promoPeriod: parsedData.promoPeriod,
+        promoStartsAt: parsedData.promoStartsAt,
+        promoEndsAt: parsedData.promoEndsAt,
+        printDate: parsedData.printDate,
+        printedAt: parsedData.printedAt,
+        isPromo: parsedData.isPromo,
+        promoType: parsedData.promoType,
+        promo: parsedData.promo,
+        discountPercent: parsedData.discountPercent,
+        rawText: extractedText
+      },
+      model,
+      barcodeCheck,
+      ensemble: vote ? formatEnsemble(outputs, answered, vote) : undefined,
+      confidence: {
+        score: confidence.score,
+        fields: confidence.fields
+      },
+      needsReview: confidence.needsReview,
+      reviewReasons: confidence.reasons,
+      extraction: {
+        mode: extraction,
+        path: extractionPath
+      },
+      prompt: prompt.ref,
+      preprocessing,
+      processingTime
+    }
+  };
+};
+
+const formatScanResult = (id, productId, { parsed, confidence, extractionErrors, processedBuffer, revision }) => ({
+  id,
+  text: revision.originalText,
+  parsed,
+  productId,
+  model: revision.model,
+  barcodeCheck: revision.barcodeCheck,
+  ensemble: revision.ensemble,
+  confidence,
+  extraction: {
+    ...revision.extraction,
+    errors: extractionErrors
+  },
+  prompt: revision.prompt,
+  processingTime: revision.processingTime,
+  imageEnhanced: revision.preprocessing.length > 0,
+  preprocessing: revision.preprocessing,
+  enhancedImageData: revision.preprocessing.length > 0
+    ? `data:image/png;base64,${processedBuffer.toString('base64')}`
+    : null,
+  timestamp: new Date().toISOString()
+});
+
+export const runScan = async ({ image, mimetype, userId, storeId, preprocess, model, ensemble, extraction, hints, signal, onStage = async () => {}, record = {} }) => {
+  let imageHash = null;
+  try {
+    imageHash = await computeImageHash(image);
+  } catch (e) {
+    console.log('Image hash failed:', e.message);
+  }
+
+  console.log(`Image mimetype: ${mimetype}`);
+
+  const analysis = await analyzeImage({ image, preprocess, model, ensemble, extraction, hints, signal, onStage });
+  const { revision } = analysis;
+
+  const scanId = new mongoose.Types.ObjectId();
+
+  const images = await storeScanImages({
+    scanId,
+    original: image,
+    mimetype,
+    enhanced: revision.preprocessing.length > 0 ? analysis.processedBuffer : null
+  });
+
+  const scanRecord = new ScanHistory({
+    _id: scanId,
+    userId,
+    images,
+    imageHash,
+    storeId,
+    ...revision,
+    ...record
+  });
+
+  await scanRecord.save();
+
+  // The price point is written only once the scan it refers to exists. If
+  // linking fails the scan is removed again, so neither side is left dangling.
+  try {
+    scanRecord.productId = await linkScanToProduct({
+      scanId,
+      userId,
+      storeId,
+      data: revision.extractedData,
+      productName: revision.extractedData.productName,
+      scannedAt: scanRecord.createdAt
+    });
+    if (scanRecord.productId) {
+      await scanRecord.save();
+    }
+  } catch (error) {
+    await removeScanPricePoint(scanRecord).catch(() => {});
+    await scanRecord.deleteOne();
+    await removeImages(images);
+    throw error;
+  }
+
+  return formatScanResult(scanRecord._id, scanRecord.productId, analysis);
+};
+
+// Runs OCR again on the stored original of a scan and keeps the result as a
+// new revision. Only an accepted revision changes the record and its price point.
+export const runRescan = async ({ scanId, userId, preprocess, model, ensemble, extraction, hints, accept = false, signal, onStage = async () => {} }) => {
+  const stored = await ScanHistory.findById(scanId).select('images createdAt');
+  const image = stored && await readImage(stored.images?.original);
+  if (!image) {
+    throw new Error(`Original image of scan ${scanId} is not stored`);
+  }
+
+  // Dates printed without a year are read relative to the original scan
+  const analysis = await analyzeImage({ image, preprocess, model, ensemble, extraction, hints, scannedAt: stored.createdAt, signal, onStage });
+
+  // Loaded again, as the record may have been corrected while OCR was running
+  const scan = await ScanHistory.findById(scanId);
+  if (!scan) {
+    throw new Error(`Scan ${scanId} was deleted during the re-scan`);
+  }
+
+  ensureInitialRevision(scan);
+  scan.revisions.push({ ...analysis.revision, source: 'rescan', userId });
+  const revision = scan.revisions[scan.revisions.length - 1];
+
+  if (accept) {
+    await acceptRevision(scan, revision);
+  }
+
+  await scan.save();
+
+  return {
+    ...formatScanResult(scan._id, scan.productId, analysis),
+    revisionId: revision._id,
+    accepted: accept
+  };
+};
+
+const crossCheckBarcode = (ocr, decoded) => ({
+  ocr: ocr || null,
+  decoded: decoded?.code || null,
+  format: decoded?.format || null,
+  source: decoded ? 'decoded' : (ocr ? 'ocr' : null),
+  mismatch: Boolean(decoded && ocr && normalizeGtin(decoded.code) !== normalizeGtin(ocr))
+});
+
+const FULL_IMAGE_REGION = { x: 0, y: 0, width: 1, height: 1 };
+
+const findShelfRegions = async (provider, image, model, signal) => {
+  if (provider.detectRegions) {
+    try {
+      // Boxes the model placed outside the image are skipped, not scanned
+      const regions = (await provider.detectRegions({ image, model, signal })).filter(isInsideImage);
+      if (regions.length > 0) {
+        return { detector: 'model', regions: sortByReadingOrder(regions) };
+      }
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.log('Model tag detection failed, using heuristic:', error.message);
+    }
+  }
+
+  const regions = await detectTagRegions(image);
+  if (regions.length > 0) {
+    return { detector: 'heuristic', regions };
+  }
+
+  return { detector: 'none', regions: [FULL_IMAGE_REGION] };
+};
+
+export const runShelfScan = async ({ image, userId, storeId, preprocess, model, ensemble, extraction, hints, signal, onStage = async () => {} }) => {
+  const startTime = Date.now();
+  const provider = getProvider();
+
+  await onStage('preprocessing');
+
+  // Bake the EXIF orientation in, so bounding boxes match the stored image
+  const oriented = await sharp(image).rotate().toBuffer();
+  const { width, height, format } = await sharp(oriented).metadata();
+
+  const { detector, regions } = await findShelfRegions(provider, oriented, model, signal);
+  console.log(`Shelf scan: ${regions.length} tag region(s) found by ${detector} detector`);
+
+  const shelfId = new mongoose.Types.ObjectId();
+  let imageRef;
+  try {
+    imageRef = await storeImage(oriented, { contentType: `image/${format}`, filename: `${shelfId}-shelf` });
+  } catch (error) {
+    console.error('Shelf image storage failed:', error.message);
+  }
+
+  const shelf = await ShelfScan.create({
+    _id: shelfId,
+    userId,
+    storeId,
+    imageRef,
+    mimetype: `image/${format}`,
+    width,
+    height,
+    detector
+  });
+
+  const results = [];
+
+  try {
+    for (let i = 0; i < regions.length; i++) {
+      signal?.throwIfAborted();
+
+      const boundingBox = toPixelBox(regions[i], width, height, detector === 'none' ? 0 : 0.02);
+      const progress = { current: i + 1, total: regions.length };
+
+      try {
+        const crop = await sharp(oriented)
+          .extract({ left: boundingBox.x, top: boundingBox.y, width: boundingBox.width, height: boundingBox.height })
+          .png()
+          .toBuffer();
+
+        const { enhancedImageData, ...result } = await runScan({
+          image: crop,
+          mimetype: 'image/png',
+          userId,
+          storeId,
+          preprocess,
+          model,
+          ensemble,
+          extraction,
+          hints,
+          signal,
+          onStage: (stage) => onStage(stage, progress),
+          record: { shelfScanId: shelf._id, boundingBox }
+        });
+
+        shelf.scans.push(result.id);
+        shelf.model = shelf.model || result.model;
+        results.push({ boundingBox, ...result });
+      } catch (error) {
+        if (signal?.aborted) throw error;
+        console.error(`Shelf scan region ${i + 1} failed:`, error.message);
+        results.push({ boundingBox, error: error.message });
+      }
+    }
+  } finally {
+    shelf.processingTime = Date.now() - startTime;
+    await shelf.save();
+  }
+
+  return {
+    id: shelf._id,
+    mode: 'shelf',
+    detector,
+    width,
+    height,
+    regions: results,
+    model: shelf.model,
+    processingTime: shelf.processingTime,
+    timestamp: new Date().toISOString()
+  };
+};
+
+export default runScan;
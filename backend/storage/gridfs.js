@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+const BUCKET_NAME = 'images';
+
+const isNotFound = (error) => /FileNotFound|not found/i.test(error.message);
+
+export const createGridFSStorage = () => {
+  // The bucket needs a live connection, so it is created on first use
+  const getBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+    bucketName: BUCKET_NAME
+  });
+
+  return {
+    name: 'gridfs',
+
+    save(buffer, { filename = 'image', contentType } = {}) {
+      return new Promise((resolve, reject) => {
+        const upload = getBucket().openUploadStream(filename, {
+          metadata: { contentType }
+        });
+
+        upload.once('error', reject);
+        upload.once('finish', () => resolve(upload.id.toString()));
+        upload.end(buffer);
+      });
+    },
+
+    async read(key) {
+      if (!mongoose.isValidObjectId(key)) return null;
+
+      const chunks = [];
+      try {
+        for await (const chunk of getBucket().openDownloadStream(new mongoose.Types.ObjectId(key))) {
+          chunks.push(chunk);
+        }
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async remove(key) {
+      if (!mongoose.isValidObjectId(key)) return;
+
+      try {
+        await getBucket().delete(new mongoose.Types.ObjectId(key));
+      } catch (error) {
+        if (!isNotFound(error)) throw error;
+      }
+    }
+  };
+};
+
+export default createGridFSStorage;
@@ -0,0 +1,28 @@
+import { createGridFSStorage } from './gridfs.js';
+import { createLocalStorage } from './local.js';
+
+const factories = {
+  gridfs: createGridFSStorage,
+  local: createLocalStorage
+};
+
+const instances = new Map();
+
+// Backends are kept by name, so images saved before STORAGE_BACKEND was
+// changed can still be read through the backend recorded with them.
+export const getStorage = (name = process.env.STORAGE_BACKEND || 'gridfs') => {
+  const key = name.toLowerCase();
+
+  if (!instances.has(key)) {
+    const factory = factories[key];
+
+    if (!factory) {
+      throw new Error(`Unknown storage backend "${name}", expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    instances.set(key, factory());
+  }
+  return instances.get(key);
+};
+
+export default getStorage;
@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve, sep } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/gif': '.gif',
+  'image/bmp': '.bmp'
+};
+
+export const createLocalStorage = () => {
+  const root = resolve(process.env.STORAGE_DIR || join(__dirname, '..', 'uploads'));
+
+  // Keys are relative paths like "2025/03/<uuid>.jpg"; anything that would
+  // resolve outside the storage directory is treated as missing.
+  const pathFor = (key) => {
+    const path = resolve(root, key);
+    return path.startsWith(root + sep) ? path : null;
+  };
+
+  return {
+    name: 'local',
+
+    async save(buffer, { contentType } = {}) {
+      const now = new Date();
+      const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+      const key = `${now.getUTCFullYear()}/${month}/${randomUUID()}${EXTENSIONS[contentType] || ''}`;
+      const path = pathFor(key);
+
+      await fs.mkdir(dirname(path), { recursive: true });
+      await fs.writeFile(path, buffer);
+      return key;
+    },
+
+    async read(key) {
+      const path = pathFor(key);
+      if (!path) return null;
+
+      try {
+        return await fs.readFile(path);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      const path = pathFor(key);
+      if (!path) return;
+
+      try {
+        await fs.unlink(path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+export default createLocalStorage;
@@ -31,24 +31,159 @@ const options = {
           properties: {
             _id: { type: 'string' },
             login: { type: 'string' },
+            defaultModel: { type: 'string' },
+            lastStoreId: { type: 'string', description: 'Магазин для сканирований без storeId' },
+            role: { type: 'string', enum: ['user', 'admin'] },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
         ParsedData: {
           type: 'object',
           properties: {
-            price: { type: 'number' },
+            price: { type: 'number', description: 'Обычная цена, без карты лояльности' },
             originalPrice: { type: 'number' },
+            regularPrice: { type: 'number', description: 'То же, что price' },
+            cardPrice: { type: 'number', description: 'Цена по карте лояльности' },
+            cardProgram: { type: 'string', description: 'Карта или программа лояльности', example: 'X5 Клуб' },
             currency: { type: 'string' },
             currencySymbol: { type: 'string' },
             isPromo: { type: 'boolean' },
             promoType: { type: 'string' },
+            promo: { $ref: '#/components/schemas/Promo' },
             discountPercent: { type: 'number' },
             barcode: { type: 'string' },
             unit: { type: 'string' },
+            pricePerUnit: { type: 'number', description: 'Цена за единицу, напечатанная на ценнике' },
+            quantity: { $ref: '#/components/schemas/Quantity' },
+            unitPrice: { $ref: '#/components/schemas/UnitPrice' },
+            brand: { type: 'string' },
+            composition: { type: 'string' },
+            expiryDate: { type: 'string', description: 'Срок годности как на ценнике' },
+            expiresAt: { type: 'string', format: 'date', description: 'Срок годности, приведённый к дате' },
+            promoPeriod: { type: 'string', description: 'Срок акции как на ценнике', example: 'с 01.11 по 14.11' },
+            promoStartsAt: { type: 'string', format: 'date', description: 'Начало акции; пусто, если напечатана только дата окончания' },
+            promoEndsAt: { type: 'string', format: 'date', description: 'Последний день акции' },
+            printDate: { type: 'string', description: 'Дата печати ценника как на ценнике' },
+            printedAt: { type: 'string', format: 'date', description: 'Дата печати ценника, приведённая к дате' },
             productName: { type: 'string' }
           }
         },
+        Quantity: {
+          type: 'object',
+          description: 'Размер упаковки: 6×0,33 л — amount 0.33, unit л, count 6, base 1.98',
+          properties: {
+            amount: { type: 'number' },
+            unit: { type: 'string', enum: ['г', 'кг', 'мл', 'л', 'шт'] },
+            count: { type: 'integer', description: 'Число единиц в упаковке' },
+            base: { type: 'number', description: 'Всего в кг, литрах или штуках' },
+            baseUnit: { type: 'string', enum: ['кг', 'л', 'шт'] }
+          }
+        },
+        UnitPrice: {
+          type: 'object',
+          description: 'Цена за кг, литр или штуку',
+          properties: {
+            value: { type: 'number', example: 99.99 },
+            unit: { type: 'string', enum: ['кг', 'л', 'шт'] }
+          }
+        },
+        Promo: {
+          type: 'object',
+          description: 'Акция с условием: «2 по цене 1», «3 за 199», «вторая за 1 ₽», «-30% на второй», «при покупке от 2 шт»',
+          properties: {
+            mechanic: {
+              type: 'string',
+              enum: ['n_for_m', 'bundle_price', 'nth_item_price', 'nth_item_discount', 'min_quantity'],
+              description: 'N по цене M, N за сумму, N-й товар за сумму, скидка на N-й товар, цена от N штук'
+            },
+            minQuantity: { type: 'integer', description: 'Сколько штук нужно купить', example: 3 },
+            payQuantity: { type: 'integer', description: 'За сколько штук платится (n_for_m)' },
+            promoPrice: { type: 'number', description: 'Сумма за набор, цена N-го товара или цена от minQuantity штук', example: 199 },
+            discountPercent: { type: 'number', description: 'Скидка на N-й товар или от minQuantity штук' },
+            effectivePrice: { type: 'number', description: 'Цена одной штуки при выполнении условия', example: 66.33 },
+            label: { type: 'string', description: 'Текст условия с ценника', example: '3 за 199' }
+          }
+        },
+        Extraction: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', enum: ['template', 'json'] },
+            path: { type: 'string', enum: ['json', 'regex'], description: 'Каким путём получены поля' },
+            errors: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        BarcodeCheck: {
+          type: 'object',
+          description: 'Сверка штрих-кода из ответа модели со штрих-кодом, считанным с изображения',
+          properties: {
+            ocr: { type: 'string', nullable: true },
+            decoded: { type: 'string', nullable: true },
+            format: { type: 'string', enum: ['EAN-13', 'EAN-8', 'UPC-A'], nullable: true },
+            source: { type: 'string', enum: ['decoded', 'ocr'], nullable: true, description: 'Какой источник попал в parsed.barcode' },
+            mismatch: { type: 'boolean' }
+          }
+        },
+        Confidence: {
+          type: 'object',
+          properties: {
+            score: { type: 'number', description: 'Минимальная оценка среди найденных полей' },
+            fields: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  score: { type: 'number' },
+                  reason: { type: 'string', enum: ['confirmed', 'decoded', 'template', 'schema', 'regex', 'conflict', 'default', 'missing'] }
+                }
+              }
+            }
+          }
+        },
+        Ensemble: {
+          type: 'object',
+          description: 'Результаты отдельных моделей ансамбля и итог голосования по полям',
+          properties: {
+            models: { type: 'array', items: { type: 'string' } },
+            outputs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  model: { type: 'string' },
+                  text: { type: 'string' },
+                  parsed: { $ref: '#/components/schemas/ParsedData' },
+                  processingTime: { type: 'number' },
+                  error: { type: 'string' }
+                }
+              }
+            },
+            agreement: {
+              type: 'object',
+              description: 'Доля моделей, давших выбранное значение поля',
+              additionalProperties: { type: 'number' }
+            },
+            disagreements: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  chosen: {},
+                  values: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        model: { type: 'string' },
+                        value: {}
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
         ScanResult: {
           type: 'object',
           properties: {
@@ -56,17 +191,285 @@ const options = {
             user: { type: 'string' },
             imageUrl: { type: 'string' },
             thumbnailUrl: { type: 'string' },
+            images: {
+              type: 'object',
+              description: 'Сохранённые изображения, отдаются через /api/history/{id}/image',
+              properties: {
+                original: { $ref: '#/components/schemas/ImageRef' },
+                enhanced: { $ref: '#/components/schemas/ImageRef' }
+              }
+            },
             ocrText: { type: 'string' },
             parsedData: { $ref: '#/components/schemas/ParsedData' },
+            barcodeCheck: { $ref: '#/components/schemas/BarcodeCheck' },
+            ensemble: { $ref: '#/components/schemas/Ensemble' },
+            confidence: { $ref: '#/components/schemas/Confidence' },
+            prompt: { $ref: '#/components/schemas/PromptRef' },
+            storeId: { type: 'string', description: 'Магазин, где сделан скан' },
+            needsReview: { type: 'boolean' },
+            reviewReasons: { type: 'array', items: { type: 'string' }, example: ['price: conflict'] },
+            corrections: {
+              type: 'array',
+              description: 'Ручные исправления с прежними значениями',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string' },
+                  from: {},
+                  to: {},
+                  userId: { type: 'string' },
+                  correctedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            revisions: {
+              type: 'array',
+              description: 'Результаты всех распознаваний этого изображения, появляются после первого повторного распознавания',
+              items: { $ref: '#/components/schemas/ScanRevision' }
+            },
+            acceptedRevisionId: { type: 'string' },
             createdAt: { type: 'string', format: 'date-time' }
           }
         },
-        Product: {
+        PromptRef: {
+          type: 'object',
+          description: 'Шаблон промпта, с которым выполнено распознавание; встроенный промпт — builtin, версия 0',
+          properties: {
+            templateId: { type: 'string' },
+            name: { type: 'string', example: 'builtin' },
+            version: { type: 'integer', example: 0 },
+            locale: { type: 'string', description: 'Подсказки, с которыми собран промпт' },
+            currency: { type: 'string' },
+            chain: { type: 'string' }
+          }
+        },
+        PromptTemplate: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            name: { type: 'string', example: 'magnit' },
+            version: { type: 'integer' },
+            extraction: { type: 'string', enum: ['template', 'json'] },
+            locale: { type: 'string', enum: ['ru', 'kk', 'be', 'uk', 'en'] },
+            currency: { type: 'string', enum: ['RUB', 'USD', 'EUR', 'KZT', 'UAH', 'BYN'] },
+            chain: { type: 'string' },
+            text: { type: 'string' },
+            description: { type: 'string' },
+            active: { type: 'boolean' },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        StoreInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Магнит у дома' },
+            chain: { type: 'string', example: 'magnit', description: 'Торговая сеть, тот же ключ, что у шаблонов промптов' },
+            address: { type: 'string', example: 'Москва, ул. Профсоюзная, 12' },
+            latitude: { type: 'number', example: 55.6789 },
+            longitude: { type: 'number', example: 37.5612 }
+          }
+        },
+        Store: {
           type: 'object',
           properties: {
             _id: { type: 'string' },
+            name: { type: 'string' },
+            chain: { type: 'string' },
+            address: { type: 'string' },
+            latitude: { type: 'number', nullable: true },
+            longitude: { type: 'number', nullable: true },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        PriceStats: {
+          type: 'object',
+          properties: {
+            min: { type: 'number' },
+            max: { type: 'number' },
+            avg: { type: 'number' },
+            count: { type: 'integer' }
+          }
+        },
+        StorePriceObservation: {
+          type: 'object',
+          description: 'Последняя цена товара в магазине',
+          properties: {
+            store: { $ref: '#/components/schemas/Store' },
+            price: { type: 'number', description: 'Цена выбранного ряда: обычная или по карте' },
+            regularPrice: { type: 'number' },
+            originalPrice: { type: 'number' },
+            cardPrice: { type: 'number' },
+            cardProgram: { type: 'string' },
+            currency: { type: 'string' },
+            isPromo: { type: 'boolean' },
+            promo: { $ref: '#/components/schemas/Promo' },
+            promoEndsAt: { type: 'string', format: 'date', nullable: true },
+            promoEnded: { type: 'boolean', description: 'Срок акции с ценника уже прошёл, цена могла измениться' },
+            scannedAt: { type: 'string', format: 'date-time' },
+            ageDays: { type: 'integer', description: 'Сколько полных дней назад сделан скан' },
+            distance: { type: 'integer', nullable: true, description: 'Расстояние до магазина в метрах, если передана точка' }
+          }
+        },
+        StorePriceComparison: {
+          type: 'object',
+          properties: {
+            productId: { type: 'string' },
+            productName: { type: 'string' },
             barcode: { type: 'string' },
+            priceType: { type: 'string', enum: ['regular', 'card'] },
+            currency: { type: 'string', description: 'Валюта, в которой сравниваются цены', example: 'RUB' },
+            currencies: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Все валюты последних цен товара по магазинам'
+            },
+            near: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                latitude: { type: 'number' },
+                longitude: { type: 'number' },
+                radius: { type: 'number' }
+              }
+            },
+            cheapest: { $ref: '#/components/schemas/StorePriceObservation' },
+            spread: {
+              type: 'object',
+              nullable: true,
+              description: 'Разница между самой дешёвой и самой дорогой ценой',
+              properties: {
+                min: { type: 'number' },
+                max: { type: 'number' },
+                amount: { type: 'number' },
+                percent: { type: 'number', description: 'Разница в процентах от самой дешёвой цены' }
+              }
+            },
+            prices: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/StorePriceObservation' }
+            }
+          }
+        },
+        StorePrice: {
+          type: 'object',
+          description: 'Последняя цена товара в магазине',
+          properties: {
+            storeId: { type: 'string' },
+            store: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                name: { type: 'string' },
+                chain: { type: 'string' },
+                address: { type: 'string' }
+              }
+            },
+            price: { type: 'number' },
+            regularPrice: { type: 'number' },
+            cardPrice: { type: 'number' },
+            currency: { type: 'string' },
+            isPromo: { type: 'boolean' },
+            scannedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ScanRevision: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            source: { type: 'string', enum: ['scan', 'rescan'] },
+            userId: { type: 'string' },
+            originalText: { type: 'string' },
+            extractedData: { $ref: '#/components/schemas/ParsedData' },
+            model: { type: 'string' },
+            barcodeCheck: { $ref: '#/components/schemas/BarcodeCheck' },
+            ensemble: { $ref: '#/components/schemas/Ensemble' },
+            confidence: { $ref: '#/components/schemas/Confidence' },
+            prompt: { $ref: '#/components/schemas/PromptRef' },
+            needsReview: { type: 'boolean' },
+            preprocessing: { type: 'array', items: { type: 'string' } },
+            processingTime: { type: 'number' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        RescanOptions: {
+          type: 'object',
+          properties: {
+            model: { type: 'string', description: 'Модель; по умолчанию модель пользователя' },
+            preprocess: { type: 'string', description: 'Пресет или шаги предобработки через запятую', example: 'enhance' },
+            extraction: { type: 'string', enum: ['template', 'json'] },
+            ensemble: { type: 'boolean' },
+            models: { type: 'string', description: 'Модели ансамбля через запятую' },
+            locale: { type: 'string', enum: ['ru', 'kk', 'be', 'uk', 'en'] },
+            currency: { type: 'string', enum: ['RUB', 'USD', 'EUR', 'KZT', 'UAH', 'BYN'] },
+            chain: { type: 'string' },
+            accept: { type: 'boolean', default: false, description: 'Сразу принять новую ревизию' }
+          }
+        },
+        ImageRef: {
+          type: 'object',
+          properties: {
+            storage: { type: 'string', enum: ['gridfs', 'local'] },
+            key: { type: 'string' },
+            contentType: { type: 'string', example: 'image/jpeg' },
+            size: { type: 'integer', description: 'Размер в байтах' },
+            width: { type: 'integer' },
+            height: { type: 'integer' }
+          }
+        },
+        ScanJob: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['queued', 'preprocessing', 'inferring', 'parsing', 'done', 'failed', 'cancelled']
+            },
+            progress: {
+              type: 'object',
+              properties: {
+                current: { type: 'integer' },
+                total: { type: 'integer' }
+              }
+            },
+            result: { type: 'object' },
+            scanId: { type: 'string' },
+            error: { type: 'string' },
+            errorCode: { type: 'string', enum: ['CIRCUIT_OPEN', 'MODEL_NOT_FOUND'], description: 'Причина ошибки, если известна' },
+            attempts: { type: 'integer' },
+            createdAt: { type: 'string', format: 'date-time' },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        ShelfScan: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            width: { type: 'integer' },
+            height: { type: 'integer' },
+            detector: { type: 'string', enum: ['model', 'heuristic', 'none'] },
+            scans: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ScanResult' }
+            },
+            model: { type: 'string' },
+            processingTime: { type: 'number' },
+            createdAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        Product: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            barcode: { type: 'string', description: 'GTIN-14 с ведущими нулями', example: '04680010667231' },
             name: { type: 'string' },
+            brand: { type: 'string' },
+            composition: { type: 'string' },
+            quantity: { $ref: '#/components/schemas/Quantity' },
+            unitPrice: { $ref: '#/components/schemas/UnitPrice' },
             priceHistory: {
               type: 'array',
               items: {
@@ -74,11 +477,85 @@ const options = {
                 properties: {
                   price: { type: 'number' },
                   originalPrice: { type: 'number' },
+                  regularPrice: { type: 'number' },
+                  cardPrice: { type: 'number' },
+                  cardProgram: { type: 'string' },
                   currency: { type: 'string' },
                   isPromo: { type: 'boolean' },
+                  promo: { $ref: '#/components/schemas/Promo' },
+                  promoStartsAt: { type: 'string', format: 'date' },
+                  promoEndsAt: { type: 'string', format: 'date' },
+                  printedAt: { type: 'string', format: 'date' },
+                  expiresAt: { type: 'string', format: 'date' },
+                  storeId: { type: 'string' },
                   scannedAt: { type: 'string', format: 'date-time' }
                 }
               }
+            },
+            storePrices: {
+              type: 'array',
+              description: 'Текущая цена в каждом магазине, где товар сканировали',
+              items: { $ref: '#/components/schemas/StorePrice' }
+            }
+          }
+        },
+        HealthStatus: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'degraded'] },
+            ready: { type: 'boolean' },
+            dependencies: {
+              type: 'object',
+              properties: {
+                mongodb: {
+                  type: 'object',
+                  properties: {
+                    state: { type: 'string', enum: ['disconnected', 'connected', 'connecting', 'disconnecting'] },
+                    connected: { type: 'boolean' },
+                    database: { type: 'string' }
+                  }
+                },
+                ocr: {
+                  type: 'object',
+                  properties: {
+                    provider: { type: 'string' },
+                    reachable: { type: 'boolean' },
+                    version: { type: 'string' },
+                    model: { type: 'string' },
+                    modelAvailable: { type: 'boolean', description: 'Модель по умолчанию установлена' },
+                    modelLoaded: { type: 'boolean', description: 'Модель по умолчанию загружена в память' },
+                    circuit: {
+                      type: 'object',
+                      properties: {
+                        state: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+                        failures: { type: 'integer' },
+                        lastError: { type: 'string' },
+                        openedAt: { type: 'string', format: 'date-time' }
+                      }
+                    },
+                    error: { type: 'string' }
+                  }
+                }
+              }
+            },
+            queue: {
+              type: 'object',
+              properties: {
+                pending: { type: 'integer' },
+                running: { type: 'integer' },
+                concurrency: { type: 'integer' }
+              }
+            },
+            version: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                version: { type: 'string' },
+                commit: { type: 'string' },
+                node: { type: 'string' },
+                startedAt: { type: 'string', format: 'date-time' },
+                uptime: { type: 'integer', description: 'Секунды с запуска' }
+              }
             }
           }
         },
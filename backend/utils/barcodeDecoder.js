@@ -0,0 +1,211 @@
+import sharp from 'sharp';
+
+import { hasValidCheckDigit } from './gtin.js';
+
+const MAX_WIDTH = 2400;
+const SCANLINES = 30;
+const MAX_DIGIT_ERROR = 1.6;
+
+// Run widths (in modules) of the L codes. R codes have the same widths
+// starting with a bar, G codes are the L widths reversed.
+const L_WIDTHS = [
+  [3, 2, 1, 1], [2, 2, 2, 1], [2, 1, 2, 2], [1, 4, 1, 1], [1, 1, 3, 2],
+  [1, 2, 3, 1], [1, 1, 1, 4], [1, 3, 1, 2], [1, 2, 1, 3], [3, 1, 1, 2]
+];
+const G_WIDTHS = L_WIDTHS.map(w => [...w].reverse());
+
+const FIRST_DIGIT_PARITY = [
+  'LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG',
+  'LGGLLG', 'LGGGLG', 'LGLGLL', 'LGLGGL', 'LGGLGL'
+];
+
+const FORMATS = [
+  { name: 'EAN-13', digitsPerSide: 6, modules: 95 },
+  { name: 'EAN-8', digitsPerSide: 4, modules: 67 }
+];
+
+const matchDigit = (runs, tables) => {
+  const total = runs.reduce((a, b) => a + b, 0);
+  const scaled = runs.map(r => (r * 7) / total);
+
+  let best = null;
+  for (const [parity, table] of tables) {
+    table.forEach((widths, digit) => {
+      const error = widths.reduce((acc, w, i) => acc + Math.abs(w - scaled[i]), 0);
+      if (!best || error < best.error) best = { digit, parity, error };
+    });
+  }
+
+  return best && best.error <= MAX_DIGIT_ERROR ? best : null;
+};
+
+const isGuard = (runs, moduleWidth) => runs.every(r => r > moduleWidth * 0.4 && r < moduleWidth * 2);
+
+const decodeWindow = (window, format) => {
+  const { digitsPerSide, modules } = format;
+  const runCount = window.length;
+  const moduleWidth = window.reduce((a, b) => a + b, 0) / modules;
+
+  const middleStart = 3 + digitsPerSide * 4;
+  if (!isGuard(window.slice(0, 3), moduleWidth)
+    || !isGuard(window.slice(middleStart, middleStart + 5), moduleWidth)
+    || !isGuard(window.slice(runCount - 3), moduleWidth)) {
+    return null;
+  }
+
+  const leftTables = digitsPerSide === 6 ? [['L', L_WIDTHS], ['G', G_WIDTHS]] : [['L', L_WIDTHS]];
+  const digits = [];
+  let parity = '';
+
+  for (let i = 0; i < digitsPerSide; i++) {
+    const offset = 3 + i * 4;
+    const match = matchDigit(window.slice(offset, offset + 4), leftTables);
+    if (!match) return null;
+    digits.push(match.digit);
+    parity += match.parity;
+  }
+
+  for (let i = 0; i < digitsPerSide; i++) {
+    const offset = middleStart + 5 + i * 4;
+    const match = matchDigit(window.slice(offset, offset + 4), [['R', L_WIDTHS]]);
+    if (!match) return null;
+    digits.push(match.digit);
+  }
+
+  let code = digits.join('');
+  let name = format.name;
+
+  if (digitsPerSide === 6) {
+    const first = FIRST_DIGIT_PARITY.indexOf(parity);
+    if (first === -1) return null;
+    code = `${first}${code}`;
+  }
+
+  if (!hasValidCheckDigit(code)) return null;
+
+  if (name === 'EAN-13' && code.startsWith('0')) {
+    name = 'UPC-A';
+    code = code.slice(1);
+  }
+
+  return { code, format: name };
+};
+
+const hasQuietZone = (run, window, format) => {
+  const moduleWidth = window.reduce((a, b) => a + b, 0) / format.modules;
+  return run === undefined || run >= moduleWidth * 3;
+};
+
+// Tries the runs starting at `start` as a barcode read left to right, then
+// as one read right to left (an upside-down tag).
+const decodeAt = (runs, start, format) => {
+  const runCount = 3 + format.digitsPerSide * 4 + 5 + format.digitsPerSide * 4 + 3;
+  if (start + runCount > runs.length) return null;
+
+  const window = runs.slice(start, start + runCount);
+
+  if (hasQuietZone(runs[start - 1], window, format)) {
+    const result = decodeWindow(window, format);
+    if (result) return result;
+  }
+
+  if (hasQuietZone(runs[start + runCount], window, format)) {
+    return decodeWindow([...window].reverse(), format);
+  }
+
+  return null;
+};
+
+const toRuns = (row) => {
+  let min = 255;
+  let max = 0;
+  for (const v of row) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (max - min < 40) return null;
+
+  const threshold = (min + max) / 2;
+  const runs = [];
+  const colors = [];
+  let current = row[0] < threshold;
+  let length = 0;
+
+  for (const v of row) {
+    const dark = v < threshold;
+    if (dark === current) {
+      length++;
+    } else {
+      runs.push(length);
+      colors.push(current);
+      current = dark;
+      length = 1;
+    }
+  }
+  runs.push(length);
+  colors.push(current);
+
+  return { runs, colors };
+};
+
+const decodeRuns = ({ runs, colors }) => {
+  for (let i = 0; i < runs.length; i++) {
+    if (!colors[i]) continue;
+    for (const format of FORMATS) {
+      const result = decodeAt(runs, i, format);
+      if (result) return result;
+    }
+  }
+  return null;
+};
+
+const scanImage = (data, width, height) => {
+  const results = [];
+
+  for (let i = 1; i <= SCANLINES; i++) {
+    const y = Math.floor((height * i) / (SCANLINES + 1));
+    const row = data.subarray(y * width, (y + 1) * width);
+    const line = toRuns(row);
+    if (!line) continue;
+
+    const result = decodeRuns(line);
+    if (result) results.push(result);
+  }
+
+  return results;
+};
+
+// Reads EAN-13, EAN-8 and UPC-A barcodes straight from the pixels. Horizontal
+// scanlines are read in both directions, then again on the image turned 90°.
+// Returns the code most scanlines agreed on, or null.
+export const decodeBarcode = async (image) => {
+  const base = sharp(image)
+    .rotate()
+    .greyscale()
+    .resize({ width: MAX_WIDTH, withoutEnlargement: true });
+
+  const votes = new Map();
+
+  for (const angle of [0, 90]) {
+    const { data, info } = await base.clone()
+      .rotate(angle)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    for (const result of scanImage(data, info.width, info.height)) {
+      const key = `${result.format}:${result.code}`;
+      const vote = votes.get(key) || { ...result, scanlines: 0 };
+      vote.scanlines++;
+      votes.set(key, vote);
+    }
+
+    if (votes.size > 0) break;
+  }
+
+  const [best] = [...votes.values()].sort((a, b) => b.scanlines - a.scanlines);
+  return best || null;
+};
+
+export default {
+  decodeBarcode
+};
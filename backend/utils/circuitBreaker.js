@@ -0,0 +1,73 @@
+// closed: calls go through. open: calls fail at once until resetTimeout has
+// passed. half-open: a single trial call decides whether to close again.
+export const createCircuitBreaker = ({ name, failureThreshold = 5, resetTimeout = 30000, isFailure = () => true }) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialRunning = false;
+  let lastError = null;
+
+  const open = (error) => {
+    state = 'open';
+    openedAt = Date.now();
+    lastError = error.message;
+    console.warn(`${name} circuit opened after ${failures} failure(s): ${error.message}`);
+  };
+
+  const unavailableError = () => {
+    const retryIn = Math.max(0, Math.ceil((openedAt + resetTimeout - Date.now()) / 1000));
+    const error = new Error(`${name} is unavailable, retry in ${retryIn}s (${lastError})`);
+    error.code = 'CIRCUIT_OPEN';
+    return error;
+  };
+
+  const execute = async (fn) => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < resetTimeout) throw unavailableError();
+      state = 'half-open';
+    }
+
+    const isTrial = state === 'half-open';
+    if (isTrial) {
+      if (trialRunning) throw unavailableError();
+      trialRunning = true;
+    }
+
+    try {
+      const result = await fn();
+      if (state !== 'closed') {
+        console.log(`${name} circuit closed`);
+      }
+      state = 'closed';
+      failures = 0;
+      lastError = null;
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        failures += 1;
+        lastError = error.message;
+        if (state === 'half-open' || failures >= failureThreshold) {
+          open(error);
+        }
+      } else if (state === 'half-open') {
+        // The service answered, just not with what the caller wanted
+        state = 'closed';
+        failures = 0;
+      }
+      throw error;
+    } finally {
+      if (isTrial) trialRunning = false;
+    }
+  };
+
+  const getState = () => ({
+    state: state === 'open' && Date.now() - openedAt >= resetTimeout ? 'half-open' : state,
+    failures,
+    lastError,
+    openedAt: state === 'open' ? new Date(openedAt) : null
+  });
+
+  return { execute, getState };
+};
+
+export default createCircuitBreaker;
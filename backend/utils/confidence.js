@@ -0,0 +1,158 @@
+import { detectCurrency, extractPrice, extractTemplateField } from './parser.js';
+
+// How much each way of finding a value is trusted, from 0 to 1
+export const CONFIDENCE_REASONS = {
+  confirmed: 1,
+  decoded: 0.95,
+  template: 0.85,
+  schema: 0.8,
+  regex: 0.55,
+  conflict: 0.4,
+  default: 0.3,
+  missing: 0
+};
+
+const REQUIRED_FIELDS = ['productName', 'price'];
+
+const TEMPLATE_LABELS = {
+  productName: ['название', 'товар', 'продукт'],
+  price: ['цена(?!\\s+(?:за|по\\s+карте|с\\s+картой))'],
+  originalPrice: ['старая\\s+цена'],
+  cardPrice: ['цена\\s+(?:по\\s+карте|с\\s+картой)', 'по\\s+карте', 'с\\s+картой', 'card\\s+price'],
+  pricePerUnit: ['цена\\s+за'],
+  discountPercent: ['скидка'],
+  promo: ['акция', 'promotion'],
+  unit: ['единица'],
+  quantity: ['количество', 'масса', 'вес', 'объ[её]м', 'нетто', 'net\\s+quantity', 'quantity'],
+  barcode: ['штрих[\\s-]*код', 'barcode', 'ean'],
+  brand: ['бренд', 'производител', 'торговая\\s+марка', 'brand'],
+  composition: ['состав', 'ингредиент', 'composition'],
+  expiryDate: ['срок\\s+годности', 'годен\\s+до', 'употребить\\s+до', 'expiration\\s+date', 'best\\s+before'],
+  promoPeriod: ['срок\\s+акции', 'период\\s+акции', 'акция\\s+действует', 'promotion\\s+period'],
+  printDate: ['дата\\s+печати', 'дата\\s+распечатки', 'напечатано', 'распечатано', 'print\\s+date']
+};
+
+const SCORED_FIELDS = ['currency', ...Object.keys(TEMPLATE_LABELS)];
+
+export const getReviewThreshold = () => {
+  const threshold = parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD);
+  return Number.isFinite(threshold) ? threshold : 0.5;
+};
+
+const field = (reason) => ({ score: CONFIDENCE_REASONS[reason], reason });
+
+const parseNumber = (value) => (value ? extractPrice(value)[0]?.value ?? null : null);
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+const scoreTemplateField = (text, name, value) => {
+  if (!hasValue(value)) return field('missing');
+  return extractTemplateField(text, TEMPLATE_LABELS[name]) ? field('template') : field('regex');
+};
+
+// The template line wins; when there is none, the parser took the labelled
+// price or the lowest candidate, which is only safe if there was a single one.
+// Old, card and unit prices carry their own role and do not compete.
+const scorePrice = (text, name, value) => {
+  if (!hasValue(value)) return field('missing');
+
+  const templated = parseNumber(extractTemplateField(text, TEMPLATE_LABELS[name]));
+  if (templated !== null) {
+    return field(templated === value ? 'template' : 'conflict');
+  }
+
+  if (name === 'price') {
+    const candidates = extractPrice(text).filter(c => c.role === 'price' || c.role === 'unknown');
+    if (new Set(candidates.map(c => c.value)).size > 1) return field('conflict');
+  }
+  return field('regex');
+};
+
+const scoreBarcode = (text, value, path, barcodeCheck, disputed) => {
+  if (!hasValue(value)) return field('missing');
+
+  if (barcodeCheck?.source === 'decoded') {
+    if (barcodeCheck.mismatch) return field('conflict');
+    return field(barcodeCheck.ocr ? 'confirmed' : 'decoded');
+  }
+
+  if (disputed) return field('conflict');
+
+  return path === 'json' ? field('schema') : scoreTemplateField(text, 'barcode', value);
+};
+
+const scoreRegexFields = (text, parsed) => {
+  const fields = {};
+
+  for (const name of SCORED_FIELDS) {
+    if (name === 'currency') {
+      fields.currency = detectCurrency(text).detected ? field('regex') : field('default');
+    } else if (['price', 'originalPrice', 'cardPrice', 'pricePerUnit'].includes(name)) {
+      fields[name] = scorePrice(text, name, parsed[name]);
+    } else {
+      fields[name] = scoreTemplateField(text, name, parsed[name]);
+    }
+  }
+
+  return fields;
+};
+
+const scoreSchemaFields = (parsed, data) => {
+  const fields = {};
+
+  for (const name of SCORED_FIELDS) {
+    if (name === 'currency') {
+      fields.currency = data?.currency ? field('schema') : field('default');
+    } else {
+      fields[name] = hasValue(parsed[name]) ? field('schema') : field('missing');
+    }
+  }
+
+  return fields;
+};
+
+// Scores every parsed field and decides whether the scan needs a human look:
+// a required field is missing or any value found is below the threshold.
+export const scoreExtraction = ({ text, parsed, path, structured, barcodeCheck, conflicts = [] }) => {
+  const fields = path === 'json'
+    ? scoreSchemaFields(parsed, structured)
+    : scoreRegexFields(text, parsed);
+
+  // Fields the ensemble models disagreed on
+  for (const name of conflicts) {
+    if (fields[name] && fields[name].reason !== 'missing') {
+      fields[name] = field('conflict');
+    }
+  }
+
+  fields.barcode = scoreBarcode(text, parsed.barcode, path, barcodeCheck, conflicts.includes('barcode'));
+
+  const threshold = getReviewThreshold();
+  const reasons = [];
+
+  for (const [name, { score, reason }] of Object.entries(fields)) {
+    if (reason === 'missing') {
+      if (REQUIRED_FIELDS.includes(name)) reasons.push(`${name}: missing`);
+    } else if (score < threshold) {
+      reasons.push(`${name}: ${reason}`);
+    }
+  }
+
+  const found = Object.values(fields).filter(f => f.reason !== 'missing');
+  const score = found.length > 0 && REQUIRED_FIELDS.every(name => fields[name].reason !== 'missing')
+    ? Math.min(...found.map(f => f.score))
+    : 0;
+
+  return {
+    score,
+    fields,
+    needsReview: reasons.length > 0,
+    reasons
+  };
+};
+
+export default {
+  CONFIDENCE_REASONS,
+  getReviewThreshold,
+  scoreExtraction
+};
@@ -0,0 +1,118 @@
+const MONTHS = [
+  { pattern: /^янв/i, month: 0 },
+  { pattern: /^фев/i, month: 1 },
+  { pattern: /^мар/i, month: 2 },
+  { pattern: /^апр/i, month: 3 },
+  { pattern: /^ма[йя]/i, month: 4 },
+  { pattern: /^июн/i, month: 5 },
+  { pattern: /^июл/i, month: 6 },
+  { pattern: /^авг/i, month: 7 },
+  { pattern: /^сен/i, month: 8 },
+  { pattern: /^окт/i, month: 9 },
+  { pattern: /^ноя/i, month: 10 },
+  { pattern: /^дек/i, month: 11 },
+];
+
+const toDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  if (date.getUTCMonth() !== month || date.getUTCDate() !== day) return null;
+  return date;
+};
+
+// Tags without a year ("до 31.10") refer to the year of the scan
+const resolveYear = (year, reference) => {
+  if (year === undefined) return reference.getUTCFullYear();
+  const value = parseInt(year);
+  return year.length === 2 ? 2000 + value : value;
+};
+
+const DATE_FORMATS = [
+  {
+    pattern: /(?<!\d)(\d{4})-(\d{2})-(\d{2})(?!\d)/g,
+    build: (m) => toDate(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3]))
+  },
+  {
+    pattern: /(?<![\d.,])(\d{1,2})([.\/-])(\d{1,2})\2(\d{4}|\d{2})(?![\d,]|\.\d)/g,
+    build: (m, reference) => toDate(resolveYear(m[4], reference), parseInt(m[3]) - 1, parseInt(m[1]))
+  },
+  {
+    // Without a year only "31.10"-style dates count, so "3-5 суток" or "1.5 кг" don't
+    pattern: /(?<![\d.,])(\d{1,2})[.\/](\d{2})(?![\d,]|[.\/]\d)/g,
+    build: (m, reference) => toDate(resolveYear(undefined, reference), parseInt(m[2]) - 1, parseInt(m[1]))
+  },
+  {
+    pattern: /(?<!\d)(\d{1,2})\s+([а-яё]{3,})\.?(?:\s+(\d{4}))?/gi,
+    build: (m, reference) => {
+      const month = MONTHS.find(({ pattern }) => pattern.test(m[2]));
+      return month ? toDate(resolveYear(m[3], reference), month.month, parseInt(m[1])) : null;
+    }
+  }
+];
+
+const HAS_YEAR = /\d{4}|\d{1,2}[.\/-]\d{1,2}[.\/-]\d{2}(?!\d)/;
+
+export const findDates = (text, { reference = new Date() } = {}) => {
+  if (!text) return [];
+
+  const found = [];
+
+  for (const { pattern, build } of DATE_FORMATS) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const date = build(match, reference);
+      const overlaps = found.some(f => match.index < f.index + f.text.length && f.index < match.index + match[0].length);
+      if (date && !overlaps) {
+        found.push({ date, index: match.index, text: match[0], hasYear: HAS_YEAR.test(match[0]) });
+      }
+    }
+  }
+
+  return found.sort((a, b) => a.index - b.index);
+};
+
+export const parseDate = (text, options) => {
+  return findDates(text, options)[0]?.date || null;
+};
+
+const withYear = (date, year) => toDate(year, date.getUTCMonth(), date.getUTCDate());
+
+const RANGE_SEPARATOR = /^\s*(?:по|до|-|–|—|to|till|until)\s*$/i;
+const END_MARKER = /(?:^|[^а-яёa-z])(?:до|по|until|till)\s*$/i;
+
+// A period such as "с 01.11 по 14.11", "01.11–14.11.2025" or "до 31.10".
+// A year printed only on the end date applies to the start as well, and an
+// end before the start means the period runs into the next year.
+export const parsePeriod = (text, options) => {
+  const dates = findDates(text, options);
+  if (dates.length === 0) return null;
+
+  const [first, second] = dates;
+  const between = second && text.slice(first.index + first.text.length, second.index);
+
+  if (second && RANGE_SEPARATOR.test(between)) {
+    let start = first.date;
+    let end = second.date;
+
+    if (second.hasYear && !first.hasYear) {
+      start = withYear(start, end.getUTCFullYear());
+      if (start > end) start = withYear(start, end.getUTCFullYear() - 1);
+    } else if (!second.hasYear && end < start) {
+      end = withYear(end, end.getUTCFullYear() + 1);
+    }
+
+    return { start, end };
+  }
+
+  if (END_MARKER.test(text.slice(0, first.index))) {
+    return { start: null, end: first.date };
+  }
+
+  return { start: first.date, end: null };
+};
+
+export default {
+  findDates,
+  parseDate,
+  parsePeriod
+};
@@ -0,0 +1,86 @@
+import { computeUnitPrice } from './quantity.js';
+import { withEffectivePrice } from './promo.js';
+
+export const VOTED_FIELDS = [
+  'productName', 'price', 'originalPrice', 'cardPrice', 'cardProgram', 'pricePerUnit', 'currency', 'unit', 'quantity', 'barcode',
+  'isPromo', 'promoType', 'promo', 'discountPercent', 'brand', 'composition', 'expiryDate',
+  'promoPeriod', 'printDate'
+];
+
+// Fields that are derived from a voted one and must come from the same output
+const DEPENDENT_FIELDS = {
+  price: ['regularPrice'],
+  currency: ['currencySymbol'],
+  expiryDate: ['expiresAt'],
+  promoPeriod: ['promoStartsAt', 'promoEndsAt'],
+  printDate: ['printedAt']
+};
+
+const voteKey = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value.toFixed(2);
+  if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const voteField = (outputs, field) => {
+  const groups = new Map();
+
+  outputs.forEach(({ parsed }, index) => {
+    const key = voteKey(parsed[field]);
+    if (key === null) return;
+    if (!groups.has(key)) {
+      groups.set(key, { index, count: 0 });
+    }
+    groups.get(key).count += 1;
+  });
+
+  // Most votes wins; a tie goes to the output listed first (the primary model)
+  const winner = [...groups.values()].sort((a, b) => b.count - a.count || a.index - b.index)[0];
+
+  return {
+    winner: winner ? outputs[winner.index] : null,
+    votes: winner?.count || 0,
+    candidates: groups.size
+  };
+};
+
+// Combines the parsed outputs of several models field by field. Returns the
+// voted fields, the share of models that agreed on each one and every field
+// where the models gave different values.
+export const voteFields = (outputs) => {
+  const parsed = { ...outputs[0].parsed };
+  const agreement = {};
+  const disagreements = [];
+
+  for (const field of VOTED_FIELDS) {
+    const { winner, votes, candidates } = voteField(outputs, field);
+
+    parsed[field] = winner ? winner.parsed[field] : null;
+    for (const dependent of DEPENDENT_FIELDS[field] || []) {
+      parsed[dependent] = winner ? winner.parsed[dependent] : null;
+    }
+
+    agreement[field] = votes / outputs.length;
+
+    if (candidates > 1) {
+      disagreements.push({
+        field,
+        chosen: parsed[field],
+        values: outputs.map(o => ({ model: o.model, value: o.parsed[field] ?? null }))
+      });
+    }
+  }
+
+  // Recomputed rather than voted, so they always match the voted price and size
+  parsed.unitPrice = computeUnitPrice(parsed);
+  parsed.promo = withEffectivePrice(parsed.promo, parsed.price);
+
+  return { parsed, agreement, disagreements };
+};
+
+export default {
+  VOTED_FIELDS,
+  voteFields
+};
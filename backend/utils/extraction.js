@@ -0,0 +1,174 @@
+import { parseOcrResult, extractProductName, getCurrencySymbol, SUPPORTED_CURRENCIES } from './parser.js';
+import { parseDate, parsePeriod } from './dates.js';
+import { computeUnitPrice, parseQuantity } from './quantity.js';
+import { parsePromo, withEffectivePrice } from './promo.js';
+
+export const EXTRACTION_MODES = ['template', 'json'];
+
+const UNITS = ['кг', 'шт', 'л', 'г', 'мл', 'уп'];
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: nullable({ type: 'string' }),
+    brand: nullable({ type: 'string' }),
+    price: nullable({ type: 'number', exclusiveMinimum: 0 }),
+    oldPrice: nullable({ type: 'number', exclusiveMinimum: 0 }),
+    cardPrice: nullable({ type: 'number', exclusiveMinimum: 0 }),
+    cardProgram: nullable({ type: 'string' }),
+    unitPrice: nullable({ type: 'number', exclusiveMinimum: 0 }),
+    currency: nullable({ type: 'string', enum: [...SUPPORTED_CURRENCIES, null] }),
+    discountPercent: nullable({ type: 'number', minimum: 1, maximum: 99 }),
+    unit: nullable({ type: 'string', enum: [...UNITS, null] }),
+    quantity: nullable({ type: 'string' }),
+    barcode: nullable({ type: 'string', pattern: '^\\d{8,14}$' }),
+    isPromo: { type: 'boolean' },
+    promoType: nullable({ type: 'string' }),
+    promoCondition: nullable({ type: 'string' }),
+    composition: nullable({ type: 'string' }),
+    expiryDate: nullable({ type: 'string' }),
+    promoPeriod: nullable({ type: 'string' }),
+    printDate: nullable({ type: 'string' }),
+    additional: nullable({ type: 'string' })
+  },
+  required: [
+    'name', 'brand', 'price', 'oldPrice', 'cardPrice', 'cardProgram', 'unitPrice', 'currency', 'discountPercent',
+    'unit', 'quantity', 'barcode', 'isPromo', 'promoType',
+    'promoCondition', 'composition', 'expiryDate', 'promoPeriod', 'printDate',
+    'additional'
+  ]
+};
+
+const typeOf = (value) => (value === null ? 'null' : typeof value);
+
+const validateField = (name, value, schema) => {
+  const types = [].concat(schema.type);
+  if (!types.includes(typeOf(value))) {
+    return `${name}: expected ${types.join(' or ')}, got ${typeOf(value)}`;
+  }
+  if (value === null) return null;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `${name}: "${value}" is not one of ${schema.enum.filter(v => v !== null).join(', ')}`;
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return `${name}: "${value}" does not match ${schema.pattern}`;
+  }
+  if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+    return `${name}: must be greater than ${schema.exclusiveMinimum}`;
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `${name}: must be at least ${schema.minimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `${name}: must be at most ${schema.maximum}`;
+  }
+  return null;
+};
+
+export const validateExtraction = (data) => {
+  if (typeOf(data) !== 'object' || Array.isArray(data)) {
+    return ['root: expected an object'];
+  }
+
+  const errors = [];
+
+  for (const name of EXTRACTION_SCHEMA.required) {
+    if (!(name in data)) {
+      errors.push(`${name}: missing`);
+    }
+  }
+
+  for (const [name, schema] of Object.entries(EXTRACTION_SCHEMA.properties)) {
+    if (!(name in data)) continue;
+    const error = validateField(name, data[name], schema);
+    if (error) errors.push(error);
+  }
+
+  if (data.price !== null && data.oldPrice !== null && typeOf(data.price) === 'number' && data.oldPrice < data.price) {
+    errors.push('oldPrice: must not be lower than price');
+  }
+
+  return errors;
+};
+
+export const parseStructuredResult = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { data: null, errors: [`invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateExtraction(data);
+  return { data: errors.length === 0 ? data : null, errors };
+};
+
+const structuredToParsed = (data, text, options) => {
+  const currency = data.currency || 'RUB';
+  const period = parsePeriod(data.promoPeriod, options);
+  const quantity = parseQuantity(data.quantity);
+  const promo = parsePromo(data.promoCondition);
+
+  return {
+    price: data.price,
+    originalPrice: data.oldPrice,
+    regularPrice: data.price,
+    cardPrice: data.cardPrice,
+    cardProgram: data.cardProgram,
+    pricePerUnit: data.unitPrice,
+    currency,
+    currencySymbol: getCurrencySymbol(currency),
+    unit: data.unit,
+    quantity,
+    unitPrice: computeUnitPrice({ price: data.price, quantity, pricePerUnit: data.unitPrice, unit: data.unit }),
+    barcode: data.barcode,
+    isPromo: data.isPromo || data.oldPrice !== null || promo !== null,
+    promoType: data.promoType,
+    promo: withEffectivePrice(promo, data.price),
+    discountPercent: data.discountPercent,
+    brand: data.brand,
+    composition: data.composition,
+    expiryDate: data.expiryDate,
+    expiresAt: parseDate(data.expiryDate, options),
+    promoPeriod: data.promoPeriod,
+    promoStartsAt: period?.start ?? null,
+    promoEndsAt: period?.end ?? null,
+    printDate: data.printDate,
+    printedAt: parseDate(data.printDate, options),
+    productName: data.name,
+    rawText: text
+  };
+};
+
+const parseWithRegex = (text, options, errors = []) => ({
+  path: 'regex',
+  errors,
+  parsed: { ...parseOcrResult(text, options), productName: extractProductName(text) }
+});
+
+// Turns the model output into the parsed fields. JSON mode answers are used
+// as is when they pass validation; anything else goes through the regex parser.
+// options.reference is the scan time, for dates printed without a year.
+export const extractFields = (text, mode = 'template', options = {}) => {
+  if (mode !== 'json') {
+    return parseWithRegex(text, options);
+  }
+
+  const { data, errors } = parseStructuredResult(text);
+  if (data) {
+    return { path: 'json', errors, parsed: structuredToParsed(data, text, options), structured: data };
+  }
+
+  console.log('Structured extraction invalid, falling back to regex parser:', errors.join('; '));
+  return parseWithRegex(text, options, errors);
+};
+
+export default {
+  EXTRACTION_SCHEMA,
+  validateExtraction,
+  parseStructuredResult,
+  extractFields
+};
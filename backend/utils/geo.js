@@ -0,0 +1,51 @@
+// Locations are GeoJSON points, so coordinates go [longitude, latitude]
+
+const EARTH_RADIUS_M = 6378100;
+
+export const DEFAULT_RADIUS_M = 1000;
+
+export const isLatitude = (value) => typeof value === 'number' && value >= -90 && value <= 90;
+export const isLongitude = (value) => typeof value === 'number' && value >= -180 && value <= 180;
+
+// latitude, longitude and radius (metres) from a query string. near is null
+// when no point was given.
+export const parseNearQuery = (query) => {
+  if (query.latitude === undefined && query.longitude === undefined) {
+    return { near: null };
+  }
+
+  const latitude = Number(query.latitude);
+  const longitude = Number(query.longitude);
+  const radius = query.radius === undefined ? DEFAULT_RADIUS_M : Number(query.radius);
+
+  if (!isLatitude(latitude) || !isLongitude(longitude) || !(radius > 0)) {
+    return { error: 'Некорректные координаты' };
+  }
+
+  return { near: { latitude, longitude, radius } };
+};
+
+// Query condition for a location field, usable with countDocuments unlike $near
+export const withinRadius = ({ latitude, longitude, radius }) => ({
+  $geoWithin: { $centerSphere: [[longitude, latitude], radius / EARTH_RADIUS_M] }
+});
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in metres between a point and [longitude, latitude]
+export const distanceTo = ({ latitude, longitude }, [otherLongitude, otherLatitude]) => {
+  const dLat = toRadians(otherLatitude - latitude);
+  const dLng = toRadians(otherLongitude - longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(latitude)) * Math.cos(toRadians(otherLatitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+export default {
+  DEFAULT_RADIUS_M,
+  isLatitude,
+  isLongitude,
+  parseNearQuery,
+  withinRadius,
+  distanceTo
+};
@@ -0,0 +1,35 @@
+export const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// GS1 mod-10: weights 3 and 1 alternate from the digit next to the check digit
+export const hasValidCheckDigit = (code) => {
+  const digits = code.split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+};
+
+export const isValidGtin = (code) =>
+  typeof code === 'string' &&
+  /^\d+$/.test(code) &&
+  GTIN_LENGTHS.includes(code.length) &&
+  hasValidCheckDigit(code);
+
+// GTIN-8, UPC-A and EAN-13 are all GTIN-14 with leading zeros, so
+// 012345678905 and 0012345678905 end up as the same product.
+export const normalizeGtin = (value) => {
+  if (value === undefined || value === null) return null;
+
+  const code = String(value).replace(/[\s-]/g, '');
+  if (!isValidGtin(code)) return null;
+
+  return code.padStart(14, '0');
+};
+
+export default {
+  GTIN_LENGTHS,
+  hasValidCheckDigit,
+  isValidGtin,
+  normalizeGtin
+};
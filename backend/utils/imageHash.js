@@ -0,0 +1,42 @@
+import sharp from 'sharp';
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// 64-bit difference hash: each bit says whether a pixel of the 9x8 greyscale
+// thumbnail is brighter than its right neighbour. Re-encoding, resizing and
+// small exposure changes keep the hash within a few bits.
+export const computeImageHash = async (image) => {
+  const pixels = await sharp(image)
+    .rotate()
+    .greyscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+export const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+export default {
+  computeImageHash,
+  hammingDistance
+};
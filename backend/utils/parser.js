@@ -1,56 +1,168 @@
-
-
+import { parseDate, parsePeriod } from './dates.js';
+import { isValidGtin } from './gtin.js';
+import { computeUnitPrice, parseQuantity } from './quantity.js';
+import { parsePromo, withEffectivePrice } from './promo.js';
+
+const CURRENCIES = [
+  { pattern: /(?<!бел\.?\s*)(?:руб|₽|RUB)/i, currency: 'RUB', symbol: '₽' },
+  { pattern: /(?:\$|USD|долл)/i, currency: 'USD', symbol: '$' },
+  { pattern: /(?:€|EUR|евро)/i, currency: 'EUR', symbol: '€' },
+  { pattern: /(?:₸|KZT|тенге)/i, currency: 'KZT', symbol: '₸' },
+  { pattern: /(?:₴|UAH|грн)/i, currency: 'UAH', symbol: '₴' },
+  { pattern: /(?:\bBr\b|BYN|бел\.?\s*руб)/i, currency: 'BYN', symbol: 'Br' },
+];
+
+export const SUPPORTED_CURRENCIES = CURRENCIES.map(c => c.currency);
+
+export const getCurrencySymbol = (currency) => {
+  return CURRENCIES.find(c => c.currency === currency)?.symbol || null;
+};
 
 export const detectCurrency = (text) => {
-  const currencyPatterns = [
-    { pattern: /(?:руб|₽|рубл|RUB)/i, currency: 'RUB', symbol: '₽' },
-    { pattern: /(?:\$|USD|долл)/i, currency: 'USD', symbol: '$' },
-    { pattern: /(?:€|EUR|евро)/i, currency: 'EUR', symbol: '€' },
-    { pattern: /(?:₸|KZT|тенге)/i, currency: 'KZT', symbol: '₸' },
-    { pattern: /(?:₴|UAH|грн)/i, currency: 'UAH', symbol: '₴' },
-    { pattern: /(?:Br|BYN|бел)/i, currency: 'BYN', symbol: 'Br' },
-  ];
-
-  for (const { pattern, currency, symbol } of currencyPatterns) {
+  for (const { pattern, currency, symbol } of CURRENCIES) {
     if (pattern.test(text)) {
-      return { currency, symbol };
+      return { currency, symbol, detected: true };
     }
   }
 
   
-  return { currency: 'RUB', symbol: '₽' };
+  return { currency: 'RUB', symbol: '₽', detected: false };
+};
+
+
+const SUPERSCRIPT_DIGITS = { '⁰': 0, '¹': 1, '²': 2, '³': 3, '⁴': 4, '⁵': 5, '⁶': 6, '⁷': 7, '⁸': 8, '⁹': 9 };
+const SUPERSCRIPT = '[⁰¹²³⁴⁵⁶⁷⁸⁹]';
+const GROUP_SPACE = '[ \\u00a0\\u202f]';
+
+const CURRENCY_WORD = '(?:руб(?:л[а-яё]*)?\\.?|р\\.|р(?![а-яё])|₽|RUB|\\$|USD|€|EUR|евро|₸|KZT|тенге|₴|UAH|грн\\.?|Br|BYN)';
+
+// Price-shaped numbers, tried in this order at every position:
+// "99 руб 90 коп", "99⁹⁰", "1 299,90", "99 90" (kopecks in small print, only
+// right before a currency or the end of the line), "99,90" and "99".
+const NUMBER_PATTERN = new RegExp(
+  '(?<![\\d.,/A-Za-zА-Яа-яЁё⁰¹²³⁴⁵⁶⁷⁸⁹]|\\d:)(?:' + [
+    `(\\d{1,6})\\s*(?:руб(?:л[а-яё]*)?|р)\\.?\\s*(\\d{1,2})\\s*(?:коп[а-яё]*|к)\\.?(?![а-яё])`,
+    `(\\d{1,3}(?:${GROUP_SPACE}\\d{3})+|\\d{1,6})\\s?(${SUPERSCRIPT}{2})`,
+    `(\\d{1,3}(?:${GROUP_SPACE}\\d{3})+)(?:[.,](\\d{1,2}))?`,
+    `(\\d{1,5}) (\\d{2})(?=\\s*(?:${CURRENCY_WORD}|$))`,
+    `(\\d{1,6})[.,](\\d{1,2})`,
+    '(\\d{1,6})'
+  ].join('|') + `)(?![\\d⁰¹²³⁴⁵⁶⁷⁸⁹]|[.,/:-]\\d)`,
+  'gim'
+);
+
+// Weights, volumes, percentages and nutrition values right after a number
+const NOT_A_PRICE_SUFFIX = /^\s*(?:%|(?:кг|гр?|мг|мл|л|шт|ккал|кдж|kcal|kj|см|мм|°|x|×|х\s*\d)(?![а-яё]))/i;
+const UNIT_PRICE_SUFFIX = new RegExp(`^\\s*${CURRENCY_WORD}?\\s*(?:\\/|за)\\s*(?:1\\s*|100\\s*)?(?:кг|гр?|мл|л|шт|уп)`, 'i');
+const CARD_SUFFIX = new RegExp(`^\\s*${CURRENCY_WORD}?\\s*(?:по\\s+карте|с\\s+картой)`, 'i');
+const CURRENCY_AFTER = new RegExp(`^\\s*(${CURRENCY_WORD})`, 'i');
+const CURRENCY_BEFORE = /(₽|\$|€|₸|₴|RUB|USD|EUR|KZT|UAH|BYN)\s*$/;
+// "мг: 0,11" in a nutrition table, unless a price label says otherwise
+const UNIT_BEFORE = /(?:кг|гр?|мкг|мг|мл|л|ккал|кдж|%)\s*[:\-–—]?\s*$/i;
+// Barcodes and other digit runs printed in groups ("4 607093 745410")
+const DIGIT_RUN_BEFORE = /\d[ -]?$/;
+const DIGIT_RUN_AFTER = /^[ -]?\d/;
+const NOT_A_PRICE_LINE = /штрих[\s-]*код|barcode|\bean\b|гост|(?<![а-яё])(?:ту|инн)(?![а-яё])|(?<![а-яё])тел(?:\.|:|ефон)|адрес|годен|годност|употреб|изготов|выработ|дата\s|печат/i;
+
+export const PRICE_ROLES = ['price', 'old', 'card', 'unit', 'unknown'];
+
+// Labels that give a number its role; the one closest before the number wins
+const ROLE_LABELS = [
+  { role: 'card', pattern: /(?:по|с)\s+карт(?:е|ой|ами)(?![а-яё])|для\s+(?:держател|владел)[а-яё]*\s+карт|card\s+price|with\s+(?:a\s+)?(?:loyalty\s+)?card/gi },
+  { role: 'old', pattern: /стар(?:ая|ой)\s+цен[аы]|прежн(?:яя|ей)\s+цен[аы]|цена\s+до\s+скидки|было|old\s+price/gi },
+  { role: 'unit', pattern: /цена\s+за|за\s+(?:1\s*|100\s*)?(?:кг|гр?|мл|л|шт|уп)(?![а-яё])|unit\s+price/gi },
+  { role: 'price', pattern: /цена|стоимость|итого|к\s+оплате|(?<!unit\s)price/gi }
+];
+
+const findLabelRole = (text) => {
+  let best = null;
+
+  for (const { role, pattern } of ROLE_LABELS) {
+    for (const match of text.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (!best || end > best.end || (end === best.end && match[0].length > best.length)) {
+        best = { role, end, length: match[0].length };
+      }
+    }
+  }
+
+  return best?.role || null;
+};
+
+const toCurrencyCode = (word) => {
+  if (!word) return null;
+  const known = CURRENCIES.find(({ pattern }) => pattern.test(word));
+  if (known) return known.currency;
+  return /^р/i.test(word) ? 'RUB' : null;
 };
 
+const superscriptValue = (digits) => [...digits].map(d => SUPERSCRIPT_DIGITS[d]).join('');
 
+const digits = (value) => value.replace(/\D/g, '');
+
+// Rubles and kopecks of whichever alternative matched
+const readNumber = (match) => {
+  const [, rubWords, kopWords, rubSup, kopSup, rubGrouped, kopGrouped, rubSplit, kopSplit, rubDecimal, kopDecimal, integer] = match;
+
+  if (rubWords) return { rubles: rubWords, kopecks: kopWords, shaped: true, currency: 'RUB' };
+  if (rubSup) return { rubles: digits(rubSup), kopecks: superscriptValue(kopSup), shaped: true };
+  if (rubGrouped) return { rubles: digits(rubGrouped), kopecks: kopGrouped, shaped: true };
+  if (rubSplit) return { rubles: rubSplit, kopecks: kopSplit, shaped: true };
+  // "3,5" is more often a fat content or a strength than a price
+  if (rubDecimal) return { rubles: rubDecimal, kopecks: kopDecimal, shaped: kopDecimal.length === 2 };
+  return { rubles: integer, kopecks: null, shaped: false };
+};
+
+// Every number on the tag that may be a price, in reading order, with its
+// role: the shelf price, the old price, the loyalty-card price, the price
+// per kg/litre/piece, or unknown when nothing around the number tells.
+// Plain integers count only next to a currency, after a label or alone on a line.
 export const extractPrice = (text) => {
-  
-  const pricePatterns = [
-    
-    /(\d+[\.,]\d{2})\s*(?:руб|₽|р\.?|RUB|\$|€)?/gi,
-    
-    /(\d+)\s*(?:руб|₽|р\.?|RUB|\$|€)/gi,
-    
-    /цена[:\s]*(\d+[\.,]?\d*)/gi,
-    
-    /стоимость[:\s]*(\d+[\.,]?\d*)/gi,
-  ];
+  const candidates = [];
+  let carriedRole = null;
 
-  const prices = [];
+  for (const line of text.split('\n')) {
+    const found = [];
+    const matches = NOT_A_PRICE_LINE.test(line) ? [] : line.matchAll(NUMBER_PATTERN);
 
-  for (const pattern of pricePatterns) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      const priceStr = match[1].replace(',', '.');
-      const price = parseFloat(priceStr);
-      if (price > 0 && price < 1000000) { 
-        prices.push(price);
-      }
+    for (const match of matches) {
+      const before = line.slice(0, match.index);
+      const after = line.slice(match.index + match[0].length);
+      if (NOT_A_PRICE_SUFFIX.test(after)) continue;
+      if (DIGIT_RUN_BEFORE.test(before) || DIGIT_RUN_AFTER.test(after)) continue;
+
+      const number = readNumber(match);
+      const value = parseFloat(`${number.rubles}.${(number.kopecks || '0').padEnd(2, '0')}`);
+      if (!(value > 0 && value < 1000000)) continue;
+
+      const currencyWord = after.match(CURRENCY_AFTER)?.[1] || before.match(CURRENCY_BEFORE)?.[1];
+      const currency = number.currency || toCurrencyCode(currencyWord);
+
+      let role = findLabelRole(before);
+      if (!role && UNIT_BEFORE.test(before)) continue;
+      if (UNIT_PRICE_SUFFIX.test(after)) role = 'unit';
+      else if (CARD_SUFFIX.test(after)) role = 'card';
+      else if (!role && found.length === 0) role = carriedRole;
+
+      const alone = line.replace(match[0], '').replace(new RegExp(CURRENCY_WORD, 'gi'), '').trim() === '';
+      if (!number.shaped && !currency && !role && !alone) continue;
+
+      found.push({ value, raw: match[0].trim(), role: role || 'unknown', currency });
     }
+
+    candidates.push(...found);
+    // A label alone on its line ("Старая цена:", "С картой «Пятёрочка»")
+    // names the number on the next one
+    carriedRole = found.length === 0 ? findLabelRole(line) : null;
   }
 
-  return [...new Set(prices)].sort((a, b) => a - b);
+  return candidates;
 };
 
+const shelfPrices = (candidates) => [...new Set(
+  candidates.filter(c => c.role === 'price' || c.role === 'unknown').map(c => c.value)
+)].sort((a, b) => a - b);
+
 
 export const detectPromo = (text) => {
   const promoPatterns = [
@@ -80,7 +192,7 @@ export const detectPromo = (text) => {
 
 
 export const extractDiscount = (text) => {
-  const discountPattern = /-?\s*(\d+)\s*%/g;
+  const discountPattern = /-?\s*(?<![\d.,])(\d+)\s*%/g;
   let match;
   const discounts = [];
 
@@ -95,31 +207,59 @@ export const extractDiscount = (text) => {
 };
 
 
-export const extractBarcode = (text) => {
-  
-  const ean13 = text.match(/\b(\d{13})\b/);
-  if (ean13) return ean13[1];
+const BARCODE_LENGTHS = [13, 8, 12, 14];
 
-  
-  const ean8 = text.match(/\b(\d{8})\b/);
-  if (ean8) return ean8[1];
+// Digit runs that may be split by single spaces or dashes ("4 680010 667231").
+// Runs glued to a "+" (phone numbers) or a dot (ТУ/ГОСТ numbers) are skipped,
+// and so is anything without a valid GTIN check digit.
+const findDigitRuns = (text) => {
+  const runs = [];
+  const pattern = /(?<![\d+.]|\+\d{1,3}[\s(-]*)\d(?:[ \-]?\d){7,13}(?![\d.])/g;
+  let match;
 
-  
-  const upc = text.match(/\b(\d{12})\b/);
-  if (upc) return upc[1];
+  while ((match = pattern.exec(text)) !== null) {
+    const digits = match[0].replace(/\D/g, '');
+    if (isValidGtin(digits)) {
+      runs.push(digits);
+    }
+  }
 
+  return runs;
+};
+
+const pickBarcode = (runs) => {
+  for (const length of BARCODE_LENGTHS) {
+    const run = runs.find(r => r.length === length);
+    if (run) return run;
+  }
   return null;
 };
 
+export const extractBarcode = (text) => {
+  const labelled = extractTemplateField(text, ['штрих[\\s-]*код', 'barcode', 'ean']);
+  if (labelled) {
+    const barcode = pickBarcode(findDigitRuns(labelled));
+    if (barcode) return barcode;
+  }
+
+  const inline = text.match(/(?:штрих[\s-]*код|barcode|ean)[^\d\n]{0,12}([\d \-]{8,20})/i);
+  if (inline) {
+    const barcode = pickBarcode(findDigitRuns(inline[1]));
+    if (barcode) return barcode;
+  }
+
+  return pickBarcode(findDigitRuns(text));
+};
+
 
 export const extractUnit = (text) => {
   const unitPatterns = [
-    { pattern: /за\s*кг|\/кг|килограмм/i, unit: 'кг' },
-    { pattern: /за\s*шт|\/шт|штук/i, unit: 'шт' },
-    { pattern: /за\s*л|\/л|литр/i, unit: 'л' },
-    { pattern: /за\s*г|\/г(?!р)|грамм/i, unit: 'г' },
-    { pattern: /за\s*мл|\/мл|миллилитр/i, unit: 'мл' },
-    { pattern: /за\s*уп|\/уп|упаковк/i, unit: 'уп' },
+    { pattern: /за\s*(?:1\s*)?кг|\/кг|килограмм/i, unit: 'кг' },
+    { pattern: /за\s*(?:1\s*)?шт|\/шт|штук/i, unit: 'шт' },
+    { pattern: /за\s*(?:1\s*)?л|\/л|литр/i, unit: 'л' },
+    { pattern: /за\s*(?:1\s*)?г|\/г(?!р)|грамм/i, unit: 'г' },
+    { pattern: /за\s*(?:1\s*)?мл|\/мл|миллилитр/i, unit: 'мл' },
+    { pattern: /за\s*(?:1\s*)?уп|\/уп|упаковк/i, unit: 'уп' },
   ];
 
   for (const { pattern, unit } of unitPatterns) {
@@ -132,50 +272,263 @@ export const extractUnit = (text) => {
 };
 
 
-export const parseOcrResult = (text) => {
-  const prices = extractPrice(text);
-  const { currency, symbol } = detectCurrency(text);
-  const { isPromo, promoType } = detectPromo(text);
-  const discountPercent = extractDiscount(text);
+const EMPTY_VALUE = /^(?:отсутству|нет(?:\s+данных)?$|n\/?a$|none$|null$|-+$)|(?:^|[\s(])не\s+(?:указан|видн|обнаружен)/i;
+
+const cleanFieldValue = (value) => {
+  const cleaned = value
+    .replace(/\*+/g, '')
+    .replace(/^[\s:\-–—]+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!cleaned || EMPTY_VALUE.test(cleaned)) return null;
+  return cleaned;
+};
+
+// Reads "Label: value" lines of the prompt template. Markdown answers put the
+// value on the next line ("- **Бренд:**\n  Простоквашино"), so that is tried too.
+export const extractTemplateField = (text, labels) => {
+  const lines = text.split('\n');
+  const labelPattern = new RegExp(`^[\\s\\-*•]*(?:${labels.join('|')})[^:\\n]{0,20}:\\s*(.*)$`, 'i');
+
+  for (let i = 0; i < lines.length; i++) {
+    const match = lines[i].match(labelPattern);
+    if (!match) continue;
+
+    const value = cleanFieldValue(match[1]);
+    if (value) return value;
+
+    const next = lines[i + 1];
+    if (match[1].replace(/\*+/g, '').trim() === '' && next && !labelPattern.test(next)) {
+      return cleanFieldValue(next);
+    }
+    return null;
+  }
+
+  return null;
+};
+
+
+export const extractBrand = (text) => {
+  return extractTemplateField(text, ['бренд', 'производител', 'торговая\\s+марка', 'brand']);
+};
+
+
+export const extractComposition = (text) => {
+  return extractTemplateField(text, ['состав', 'ингредиент', 'composition']);
+};
+
+
+const DATE = '(?:\\d{1,2}[.\\/]\\d{1,2}(?:[.\\/]\\d{2,4})?|\\d{1,2}\\s+[а-яё]{3,}\\.?(?:\\s+\\d{4})?)';
+const FULL_DATE = '\\d{1,2}[.\\/]\\d{1,2}[.\\/]\\d{2,4}';
+
+const EXPIRY_LABELS = ['срок\\s+годности', 'годен\\s+до', 'употребить\\s+до', 'expiration\\s+date', 'best\\s+before'];
+const EXPIRY_PATTERN = /(?:годен\s+до|употребить\s+до|срок\s+годности\s+до)[:\s]*([^\n]+)/i;
+
+export const extractExpiryDate = (text, options) => {
+  const value = extractTemplateField(text, EXPIRY_LABELS) || text.match(EXPIRY_PATTERN)?.[1].trim() || null;
+  return {
+    expiryDate: value,
+    expiresAt: parseDate(value, options)
+  };
+};
+
+const PROMO_PERIOD_LABELS = ['срок\\s+акции', 'период\\s+акции', 'акция\\s+действует', 'promotion\\s+period'];
+const PERIOD_PATTERN = new RegExp(
+  `(?:с|c|from)\\s*${DATE}\\s*(?:по|до|-|–|—|to)\\s*${DATE}|${DATE}\\s*[-–—]\\s*${DATE}|(?:до|по|until|till)\\s+${DATE}`,
+  'i'
+);
+// Lines where a date is about the product, not the offer
+const NOT_PERIOD_LINE = /годен|годност|употреб|изготов|произвед|выработ|упаков|печат|хран/i;
+
+// "Акция до 31.10", "с 01.11 по 14.11": the dates the promo price is valid
+export const extractPromoPeriod = (text, options) => {
+  const candidates = [
+    extractTemplateField(text, PROMO_PERIOD_LABELS),
+    ...text.split('\n').filter(line => !NOT_PERIOD_LINE.test(line)).map(line => line.match(PERIOD_PATTERN)?.[0])
+  ];
+
+  for (const candidate of candidates) {
+    const period = candidate && parsePeriod(candidate, options);
+    if (period) {
+      return { promoPeriod: candidate, promoStartsAt: period.start, promoEndsAt: period.end };
+    }
+  }
+
+  return { promoPeriod: null, promoStartsAt: null, promoEndsAt: null };
+};
+
+const PRINT_DATE_LABELS = ['дата\\s+печати', 'дата\\s+распечатки', 'напечатано', 'распечатано', 'print\\s+date'];
+const PRINT_DATE_PATTERN = new RegExp(`(?:дата\\s+(?:печати|распечатки)|(?:на|рас)печатан[оа]?|печать)[:\\s]*(${FULL_DATE})`, 'i');
+// An unlabelled full date with a time is the print stamp most tags carry
+const PRINT_STAMP_PATTERN = new RegExp(`(?<![\\d.])(${FULL_DATE})\\s+\\d{1,2}:\\d{2}(?::\\d{2})?(?!\\d)`);
+
+// The date the tag was printed, which tells how fresh the price is
+export const extractPrintDate = (text, options) => {
+  const stamp = text.split('\n')
+    .filter(line => !/годен|годност|употреб|изготов|произвед|выработ|упаков/i.test(line))
+    .map(line => line.match(PRINT_STAMP_PATTERN)?.[1])
+    .find(Boolean);
+  const value = extractTemplateField(text, PRINT_DATE_LABELS) || text.match(PRINT_DATE_PATTERN)?.[1] || stamp || null;
+
+  return {
+    printDate: value,
+    printedAt: parseDate(value, options)
+  };
+};
+
+
+export const extractProductName = (text) => {
+  const nameMatch = text.match(/(?:название|товар|продукт)[:\s]*([^\n]+)/i);
+  return nameMatch ? nameMatch[1].trim() : null;
+};
+
+// Lines where a weight or a count is about something other than the package
+const NOT_QUANTITY_LINE = /цена|скидк|акци|покупк|состав|срок|годен|дата|изготов/i;
+
+// The template line first, then the product name, where the pack size is
+// usually printed, then any other line
+export const extractQuantity = (text) => {
+  const labelled = extractTemplateField(text, ['количество', 'масса', 'вес', 'объ[её]м', 'нетто', 'net\\s+quantity', 'quantity']);
+  const candidates = [
+    labelled,
+    extractProductName(text),
+    ...text.split('\n').filter(line => !NOT_QUANTITY_LINE.test(line))
+  ];
+
+  for (const candidate of candidates) {
+    const quantity = parseQuantity(candidate);
+    if (quantity) return quantity;
+  }
+
+  return null;
+};
+
+// The unit price printed on the tag ("Цена за 1 кг: 459.90 руб", "459.90 ₽/кг")
+export const extractPricePerUnit = (text) => {
+  return extractPrice(text).find(c => c.role === 'unit')?.value ?? null;
+};
+
+const CARD_PROGRAM_LABELS = ['карта\\s+лояльности', 'программа\\s+лояльности', 'loyalty\\s+card'];
+const CARD_PROGRAM_PATTERN = /(?:[пП]о|[сС])\s+[кК]арт[а-яё]*\s+(?:лояльности\s+)?(?:[«"“]([^»"”\n]{2,30})[»"”]|(?!Цена)([A-ZА-ЯЁ][\wА-Яа-яЁё-]*(?:\s+(?:Клуб|Club|Плюс|Plus))?))/;
+
+// The loyalty-card price ("Цена по карте: 89.90 руб", "С картой «Пятёрочка»"
+// with the number on the next line) and the card it needs
+export const extractCardPrice = (text) => {
+  const cardPrice = extractPrice(text).find(c => c.role === 'card')?.value ?? null;
+  if (cardPrice === null) {
+    return { cardPrice: null, cardProgram: null };
+  }
+
+  const program = text.match(CARD_PROGRAM_PATTERN);
+
+  return {
+    cardPrice,
+    cardProgram: extractTemplateField(text, CARD_PROGRAM_LABELS) || program?.[1]?.trim() || program?.[2] || null
+  };
+};
+
+// reference is when the tag was scanned; dates printed without a year
+// ("Акция до 31.10") are read in that year
+export const parseOcrResult = (text, { reference } = {}) => {
+  // Numbers of a multi-buy offer ("3 за 199", "вторая за 1 ₽") and of the
+  // promo dates are neither the shelf price nor the discount of a single item
+  const promo = parsePromo(text);
+  const { promoPeriod, promoStartsAt, promoEndsAt } = extractPromoPeriod(text, { reference });
+
+  let priceText = text;
+  if (promo) priceText = priceText.replace(promo.label, ' ');
+  if (promoPeriod) priceText = priceText.replace(promoPeriod, ' ');
+
+  const candidates = extractPrice(priceText);
+  const { cardPrice, cardProgram } = extractCardPrice(text);
+  const detected = detectPromo(text);
+  const discountPercent = extractDiscount(priceText);
   const barcode = extractBarcode(text);
   const unit = extractUnit(text);
+  const brand = extractBrand(text);
+  const composition = extractComposition(text);
+  const { expiryDate, expiresAt } = extractExpiryDate(text, { reference });
+  const { printDate, printedAt } = extractPrintDate(text, { reference });
+
+  const prices = shelfPrices(candidates);
+  const labelled = candidates.find(c => c.role === 'price')?.value;
+  const old = candidates.find(c => c.role === 'old')?.value;
 
-  
   let price = null;
   let originalPrice = null;
 
-  if (prices.length >= 2 && isPromo) {
-    
-    price = prices[0];
-    originalPrice = prices[prices.length - 1];
-  } else if (prices.length >= 1) {
-    price = prices[0];
+  if (promo?.mechanic === 'min_quantity' && !promo.promoPrice && !promo.discountPercent && prices.length >= 2) {
+    // "при покупке от 2 шт" next to two prices: the lower one needs the condition
+    promo.promoPrice = prices[0];
+    price = prices[1];
+    originalPrice = old ?? (prices.length > 2 ? prices[prices.length - 1] : null);
+  } else {
+    // A labelled price wins; without one the lowest candidate is the price
+    // and, on a promo tag, the highest one the old price
+    price = labelled ?? prices[0] ?? null;
+    originalPrice = old ?? (detected.isPromo && prices.length >= 2 ? prices[prices.length - 1] : null);
+  }
+  if (originalPrice !== null && !(originalPrice > price)) {
+    originalPrice = null;
   }
 
-  
-  const pricePerUnit = prices.length > 1 ? Math.min(...prices) : null;
+  // The currency printed next to the price beats one found anywhere on the tag
+  const priceCurrency = candidates.find(c => c.value === price && c.currency)?.currency;
+  const { currency, symbol } = priceCurrency
+    ? { currency: priceCurrency, symbol: getCurrencySymbol(priceCurrency) }
+    : detectCurrency(text);
+
+  const pricePerUnit = extractPricePerUnit(text);
+  const quantity = extractQuantity(text);
 
   return {
     price,
     originalPrice,
+    regularPrice: price,
+    cardPrice,
+    cardProgram,
     pricePerUnit,
+    quantity,
+    unitPrice: computeUnitPrice({ price, quantity, pricePerUnit, unit }),
     currency,
     currencySymbol: symbol,
     unit,
     barcode,
-    isPromo,
-    promoType,
+    isPromo: detected.isPromo || promo !== null || old !== undefined,
+    promoType: detected.promoType || promo?.label || null,
+    promo: withEffectivePrice(promo, price),
     discountPercent,
+    brand,
+    composition,
+    expiryDate,
+    expiresAt,
+    promoPeriod,
+    promoStartsAt,
+    promoEndsAt,
+    printDate,
+    printedAt,
     rawText: text
   };
 };
 
 export default {
+  getCurrencySymbol,
   detectCurrency,
   extractPrice,
   detectPromo,
   extractDiscount,
   extractBarcode,
   extractUnit,
+  extractTemplateField,
+  extractBrand,
+  extractComposition,
+  extractExpiryDate,
+  extractPromoPeriod,
+  extractPrintDate,
+  extractProductName,
+  extractQuantity,
+  extractPricePerUnit,
+  extractCardPrice,
   parseOcrResult
 };
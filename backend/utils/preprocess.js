@@ -0,0 +1,149 @@
+import sharp from 'sharp';
+import { detectTagRegions, otsuThreshold, toPixelBox } from './tagDetector.js';
+
+const DESKEW_WIDTH = 400;
+const DESKEW_MAX_ANGLE = 10;
+const DESKEW_STEP = 0.5;
+
+const toGreyRaw = (image, width) => sharp(image)
+  .greyscale()
+  .resize({ width, withoutEnlargement: true })
+  .raw()
+  .toBuffer({ resolveWithObject: true });
+
+// Projection profile: text lines give the sharpest row histogram when the
+// image is rotated back by the skew angle.
+export const estimateSkewAngle = async (image) => {
+  const { data, info } = await toGreyRaw(image, DESKEW_WIDTH);
+  const threshold = otsuThreshold(data);
+
+  const points = [];
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      // The Otsu level is the brightest value of the dark class
+      if (data[y * info.width + x] <= threshold) points.push(x, y);
+    }
+  }
+  if (points.length === 0) return 0;
+
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -DESKEW_MAX_ANGLE; angle <= DESKEW_MAX_ANGLE; angle += DESKEW_STEP) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const rows = new Map();
+
+    for (let i = 0; i < points.length; i += 2) {
+      const row = Math.round(points[i + 1] * cos - points[i] * sin);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+
+    let score = 0;
+    for (const count of rows.values()) score += count * count;
+
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+};
+
+export const PREPROCESS_STEPS = {
+  autoRotate: async (image) => sharp(image).rotate().toBuffer(),
+
+  deskew: async (image) => {
+    const angle = await estimateSkewAngle(image);
+    if (angle === 0) return image;
+    return sharp(image).rotate(-angle, { background: '#ffffff' }).toBuffer();
+  },
+
+  cropToTag: async (image) => {
+    const [region] = await detectTagRegions(image, { maxRegions: 1 });
+    if (!region) return image;
+
+    const { width, height } = await sharp(image).metadata();
+    const box = toPixelBox(region, width, height);
+    return sharp(image)
+      .extract({ left: box.x, top: box.y, width: box.width, height: box.height })
+      .toBuffer();
+  },
+
+  // The Otsu level is taken from the same normalized greyscale it is applied
+  // to; sharp whitens values from its argument up, so the dark class ends below it
+  threshold: async (image) => {
+    const normalized = await sharp(image).greyscale().normalize().png().toBuffer();
+    const { data } = await toGreyRaw(normalized, DESKEW_WIDTH);
+    return sharp(normalized)
+      .threshold(otsuThreshold(data) + 1)
+      .toBuffer();
+  },
+
+  glare: async (image) => sharp(image)
+    .clahe({ width: 64, height: 64, maxSlope: 3 })
+    .modulate({ brightness: 0.95 })
+    .toBuffer(),
+
+  enhance: async (image) => sharp(image)
+    .normalize()
+    .sharpen({ sigma: 1.5, m1: 1.5, m2: 0.7 })
+    .median(3)
+    .modulate({ brightness: 1.05, saturation: 1.1 })
+    .gamma(1.1)
+    .toBuffer()
+};
+
+export const PREPROCESS_PRESETS = {
+  none: [],
+  enhance: ['enhance'],
+  auto: ['autoRotate', 'deskew'],
+  crop: ['autoRotate', 'deskew', 'cropToTag'],
+  document: ['autoRotate', 'deskew', 'cropToTag', 'threshold'],
+  glare: ['autoRotate', 'glare'],
+  full: ['autoRotate', 'deskew', 'cropToTag', 'glare', 'enhance']
+};
+
+// Accepts a preset name or a comma-separated list of step names.
+// Returns null when the value names neither.
+export const resolvePreprocessSteps = (value) => {
+  if (!value) return [];
+  // Own keys only, so names like "constructor" are rejected, not inherited
+  if (Object.hasOwn(PREPROCESS_PRESETS, value)) return PREPROCESS_PRESETS[value];
+
+  const steps = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  if (steps.length === 0 || !steps.every(step => Object.hasOwn(PREPROCESS_STEPS, step))) return null;
+  return steps;
+};
+
+export const applyPreprocessing = async (image, steps) => {
+  let buffer = image;
+  const applied = [];
+
+  for (const step of steps) {
+    try {
+      buffer = await PREPROCESS_STEPS[step](buffer);
+      applied.push(step);
+    } catch (error) {
+      console.log(`Preprocessing step ${step} failed, skipping:`, error.message);
+    }
+  }
+
+  if (applied.length === 0) {
+    return { buffer: image, applied };
+  }
+
+  return {
+    buffer: await sharp(buffer).png().toBuffer(),
+    applied
+  };
+};
+
+export default {
+  PREPROCESS_STEPS,
+  PREPROCESS_PRESETS,
+  resolvePreprocessSteps,
+  applyPreprocessing
+};
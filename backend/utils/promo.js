@@ -0,0 +1,156 @@
+// Multi-buy and conditional offers printed on shelf tags: "2 по цене 1",
+// "3 за 199", "вторая за 1 ₽", "-30% на второй", "при покупке от 2 шт".
+// Each one becomes a promo object with the number of items the offer needs
+// and the price of one item when the condition is met.
+
+export const PROMO_MECHANICS = ['n_for_m', 'bundle_price', 'nth_item_price', 'nth_item_discount', 'min_quantity'];
+
+const MAX_PROMO_QUANTITY = 20;
+
+const ORDINAL_STEMS = { втор: 2, трет: 3, четв: 4, пят: 5 };
+
+const ORDINAL = '(?:(втор|трет|четв[её]рт|пят)[а-яё]*|(\\d{1,2})\\s*-?\\s*(?:ой|ая|ое|ую|й|я|е|ю)(?![а-яё]))';
+const ITEM = '(?:\\s*(?:товар|шт|штук|упаков|единиц)[а-яё.]*)?';
+const PRICE = '(\\d+(?:[.,]\\d{1,2})?)(?![\\d.,]|\\s*(?:кг|гр?|мл|л|шт|%)(?![а-яё]))';
+const PERCENT = '-?\\s*(\\d{1,2})\\s*%';
+const DISCOUNT_WORD = '(?:скидк[а-яё]*\\s*)?';
+
+const toNumber = (value) => (value ? parseFloat(value.replace(',', '.')) : null);
+
+const ordinalValue = (stem, digits) => (
+  stem ? ORDINAL_STEMS[stem.toLowerCase().slice(0, 4)] : parseInt(digits)
+);
+
+const MECHANICS = [
+  {
+    // "-30% на второй", "скидка 50% на вторую упаковку"
+    pattern: new RegExp(`${DISCOUNT_WORD}${PERCENT}\\s*${DISCOUNT_WORD}на\\s*(?:кажд[а-яё]+\\s*)?${ORDINAL}`, 'i'),
+    build: ([, percent, stem, digits]) => ({
+      mechanic: 'nth_item_discount',
+      minQuantity: ordinalValue(stem, digits),
+      discountPercent: parseInt(percent)
+    })
+  },
+  {
+    // "на вторую -50%"
+    pattern: new RegExp(`на\\s*${ORDINAL}${ITEM}\\s*[-–—:]?\\s*${DISCOUNT_WORD}${PERCENT}`, 'i'),
+    build: ([, stem, digits, percent]) => ({
+      mechanic: 'nth_item_discount',
+      minQuantity: ordinalValue(stem, digits),
+      discountPercent: parseInt(percent)
+    })
+  },
+  {
+    // "вторая за 1 ₽", "второй товар за 1 руб"
+    pattern: new RegExp(`${ORDINAL}${ITEM}\\s*(?:всего\\s*)?за\\s*${PRICE}`, 'i'),
+    build: ([, stem, digits, price]) => ({
+      mechanic: 'nth_item_price',
+      minQuantity: ordinalValue(stem, digits),
+      promoPrice: toNumber(price)
+    })
+  },
+  {
+    // "2 по цене 1", "3 по цене 2"
+    pattern: /(?<![\d.,])(\d{1,2})\s*(?:шт[а-яё.]*\s*)?по\s*цене\s*(\d{1,2})(?![\d.,])/i,
+    build: ([, buy, pay]) => ({
+      mechanic: 'n_for_m',
+      minQuantity: parseInt(buy),
+      payQuantity: parseInt(pay)
+    })
+  },
+  {
+    // "1+1", "2+1"
+    pattern: /(?<![\d.,+])([1-9])\s*\+\s*([1-9])(?![\d.,%])/,
+    build: ([, pay, free]) => ({
+      mechanic: 'n_for_m',
+      minQuantity: parseInt(pay) + parseInt(free),
+      payQuantity: parseInt(pay)
+    })
+  },
+  {
+    // "3 за 199", "2 шт за 150 руб"
+    pattern: new RegExp(`(?<![\\d.,])(\\d{1,2})${ITEM}\\s*за\\s*${PRICE}`, 'i'),
+    build: ([, count, price]) => ({
+      mechanic: 'bundle_price',
+      minQuantity: parseInt(count),
+      promoPrice: toNumber(price)
+    })
+  },
+  {
+    // "при покупке от 2 шт — 59.90", "скидка 20% при покупке от 3 шт"
+    pattern: new RegExp(
+      `(?:${DISCOUNT_WORD}${PERCENT}\\s*)?при\\s*покупке\\s*(?:от\\s*)?(\\d{1,2})(?:\\s*-?\\s*х)?${ITEM}` +
+      `(?:\\s*(?:и\\s*более\\s*)?[-–—:]?\\s*(?:(?:по\\s*|цена\\s*)?${PRICE}|${DISCOUNT_WORD}${PERCENT}))?`,
+      'i'
+    ),
+    build: ([, percentBefore, count, price, percentAfter]) => ({
+      mechanic: 'min_quantity',
+      minQuantity: parseInt(count),
+      promoPrice: toNumber(price),
+      discountPercent: parseInt(percentBefore || percentAfter) || null
+    })
+  }
+];
+
+const isPlausible = ({ mechanic, minQuantity, payQuantity, promoPrice, discountPercent }) => {
+  if (!(minQuantity >= 2 && minQuantity <= MAX_PROMO_QUANTITY)) return false;
+  if (mechanic === 'n_for_m' && !(payQuantity >= 1 && payQuantity < minQuantity)) return false;
+  if (mechanic === 'bundle_price' && !(promoPrice > 0)) return false;
+  if (mechanic === 'nth_item_price' && !(promoPrice >= 0)) return false;
+  if (discountPercent !== undefined && discountPercent !== null && !(discountPercent > 0 && discountPercent <= 99)) return false;
+  return true;
+};
+
+// The first offer found in the text, or null. `label` is the matched text,
+// so the caller can keep its numbers out of the shelf price candidates.
+export const parsePromo = (text) => {
+  if (typeof text !== 'string') return null;
+
+  for (const { pattern, build } of MECHANICS) {
+    const match = text.match(pattern);
+    if (!match) continue;
+
+    const promo = build(match);
+    if (isPlausible(promo)) {
+      return { ...promo, label: match[0].trim() };
+    }
+  }
+
+  return null;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Price of one item when the offer applies, given the regular shelf price
+const computeEffectivePrice = ({ mechanic, minQuantity, payQuantity, promoPrice, discountPercent }, price) => {
+  const hasPrice = price > 0;
+
+  switch (mechanic) {
+    case 'n_for_m':
+      return hasPrice ? price * payQuantity / minQuantity : null;
+    case 'bundle_price':
+      return promoPrice / minQuantity;
+    case 'nth_item_price':
+      return hasPrice ? (price * (minQuantity - 1) + promoPrice) / minQuantity : null;
+    case 'nth_item_discount':
+      return hasPrice ? price * (minQuantity - discountPercent / 100) / minQuantity : null;
+    case 'min_quantity':
+      if (promoPrice > 0) return promoPrice;
+      return hasPrice && discountPercent ? price * (1 - discountPercent / 100) : null;
+    default:
+      return null;
+  }
+};
+
+export const withEffectivePrice = (promo, price) => {
+  if (!promo) return null;
+
+  const effectivePrice = computeEffectivePrice(promo, price);
+  return { ...promo, effectivePrice: effectivePrice === null ? null : round(effectivePrice) };
+};
+
+export default {
+  PROMO_MECHANICS,
+  parsePromo,
+  withEffectivePrice
+};
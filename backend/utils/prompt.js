@@ -0,0 +1,89 @@
+export const OCR_PROMPT = `You're an OCR system for price tags. Extract the text from the price tag image and print it strictly according to the template. Write ONLY what you see. Don't think about it.
+
+Name: [full product name]
+Brand: [manufacturer/brand, if specified]
+Price: [number] {{currency}}
+Old price: [number] {{currency}} (if there is a promotion/discount)
+Card price: [number] {{currency}} (price with a loyalty card, if specified)
+Loyalty card: [card or loyalty program name as printed] (if specified)
+Unit price: [number] {{currency}}/[kg|piece|L|g|ml|pack]
+Discount: -[number]% (if specified)
+Promotion: [multi-buy or conditional offer exactly as printed, e.g. "2 по цене 1", "3 за 199", "вторая за 1 ₽", "при покупке от 2 шт — 59.90"] (if specified)
+Unit: per [kg|piece|L|g|ml|pack]
+Net quantity: [package weight, volume or count, e.g. 500 g, 0.9 L, 6x0.33 L, 10 pcs] (if specified)
+Barcode: [numbers]
+Composition: [text, if specified]
+Expiration date: [text, if specified]
+Promotion period: [dates the promotion is valid, as printed, e.g. "с 01.11 по 14.11", "до 31.10"] (if specified)
+Print date: [date the price tag was printed] (if specified)
+Additionally: [other text on the price tag]
+
+Rules:
+- Write prices as numbers with pennies: 123.45 {{currency}}
+- If there is a promotion, be sure to specify the old price and the word "discount" or "promotion".
+- A price with a loyalty card goes only to "Card price", never to "Price" or "Old price".
+- Barcode — only numbers without spaces
+- Skip lines for which there is no data in the image.
+- Write the field names (Name, Price, Barcode...) in Russian
+- Copy the product name and all other text exactly as printed, in {{language}}, without translating it`;
+
+export const STRUCTURED_PROMPT = `You're an OCR system for price tags. Read the price tag in the image and return a single JSON object that matches the provided schema. Write ONLY what you see. Don't think about it.
+
+Fields:
+- name: full product name, in the language printed on the tag
+- brand: manufacturer/brand, if specified
+- price: current price as a number, e.g. 123.45
+- oldPrice: old price before the promotion/discount, if specified
+- cardPrice: price with a loyalty card ("по карте", "с картой"), if specified; price stays the regular price without the card
+- cardProgram: loyalty card or program name as printed, if specified
+- unitPrice: price per unit (kg, L, piece...), if specified
+- currency: RUB, USD, EUR, KZT, UAH or BYN{{currencyHint}}
+- discountPercent: discount as a number without the % sign, if specified
+- unit: one of кг, шт, л, г, мл, уп
+- quantity: net weight, volume or count of the package as printed, e.g. "500 г", "0,9 л", "6x0,33 л", "10 шт"
+- barcode: only digits, without spaces
+- isPromo: true if there is a promotion, discount or old price
+- promoType: promotion label as printed (e.g. "акция", "скидка"), if any
+- promoCondition: multi-buy or conditional offer exactly as printed, with the price it gives, e.g. "3 за 199", "вторая за 1 ₽", "-30% на второй", "при покупке от 2 шт — 59.90"; price stays the price of a single item without the offer
+- composition: composition text, if specified
+- expiryDate: expiration date text, if specified
+- promoPeriod: dates the promotion or price is valid, as printed, e.g. "с 01.11 по 14.11", "до 31.10", if specified
+- printDate: date the price tag was printed, if specified
+- additional: any other text on the price tag
+
+Use null for every field that is not on the price tag. Never put a percentage, weight or nutrition value into a price field.`;
+
+export const PROMPT_VARIABLES = ['currency', 'currencyHint', 'language', 'chain'];
+
+const LOCALES = {
+  ru: { language: 'Russian', currency: 'RUB' },
+  kk: { language: 'Kazakh or Russian', currency: 'KZT' },
+  be: { language: 'Belarusian or Russian', currency: 'BYN' },
+  uk: { language: 'Ukrainian', currency: 'UAH' },
+  en: { language: 'English' }
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Values for the {{placeholders}} of a template. Without hints the model is
+// asked to copy the currency and language from the tag instead of assuming them.
+export const getPromptVariables = ({ locale, currency, chain } = {}) => {
+  const code = currency || LOCALES[locale]?.currency;
+
+  return {
+    currency: code || '[currency as printed: RUB, KZT, BYN, UAH, USD or EUR]',
+    currencyHint: code ? ` (most likely ${code})` : '',
+    language: LOCALES[locale]?.language || 'the language printed on the tag',
+    chain: chain || ''
+  };
+};
+
+export const renderPrompt = (text, variables) =>
+  text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => variables[name] ?? placeholder);
+
+export const findUnknownVariables = (text) =>
+  [...text.matchAll(/\{\{(\w+)\}\}/g)]
+    .map(m => m[1])
+    .filter(name => !PROMPT_VARIABLES.includes(name));
+
+export default OCR_PROMPT;
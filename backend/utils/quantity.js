@@ -0,0 +1,89 @@
+// Net quantity of a package as printed on the tag or in the product name:
+// "500 г", "0,9 л", "6×0,33 л", "1 кг", "10 шт". Amounts are converted to
+// kilograms, litres or pieces, so items of different sizes can be compared.
+
+const UNITS = {
+  г: { unit: 'г', baseUnit: 'кг', factor: 0.001 },
+  гр: { unit: 'г', baseUnit: 'кг', factor: 0.001 },
+  кг: { unit: 'кг', baseUnit: 'кг', factor: 1 },
+  мл: { unit: 'мл', baseUnit: 'л', factor: 0.001 },
+  л: { unit: 'л', baseUnit: 'л', factor: 1 },
+  шт: { unit: 'шт', baseUnit: 'шт', factor: 1 },
+  g: { unit: 'г', baseUnit: 'кг', factor: 0.001 },
+  gr: { unit: 'г', baseUnit: 'кг', factor: 0.001 },
+  kg: { unit: 'кг', baseUnit: 'кг', factor: 1 },
+  ml: { unit: 'мл', baseUnit: 'л', factor: 0.001 },
+  l: { unit: 'л', baseUnit: 'л', factor: 1 },
+  pc: { unit: 'шт', baseUnit: 'шт', factor: 1 },
+  pcs: { unit: 'шт', baseUnit: 'шт', factor: 1 }
+};
+
+export const BASE_UNITS = ['кг', 'л', 'шт'];
+
+const MAX_PACK_COUNT = 100;
+
+const TIMES = '\\s*[x×х*]\\s*';
+
+// "за 1 кг" and "на 100 г" name the unit of a price or a nutrition value,
+// not the size of the package
+const QUANTITY_PATTERN = new RegExp(
+  `(?<![\\d.,]|(?:за|на|per)\\s+)(?:(\\d+)${TIMES})?(\\d+(?:[.,]\\d+)?)\\s*(кг|гр?|мл|л|шт|kg|gr?|ml|l|pcs|pc)\\.?(?![a-zа-яё])(?:${TIMES}(\\d+)(?:\\s*шт)?)?`,
+  'gi'
+);
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const fromMatch = ([, countBefore, amount, unitWord, countAfter]) => {
+  const { unit, baseUnit, factor } = UNITS[unitWord.toLowerCase()];
+  const value = parseFloat(amount.replace(',', '.'));
+  const count = parseInt(countBefore || countAfter) || 1;
+
+  if (!(value > 0) || count > MAX_PACK_COUNT) return null;
+
+  return {
+    amount: value,
+    unit,
+    count,
+    base: round(value * count * factor, 4),
+    baseUnit
+  };
+};
+
+// The first quantity found in the text, or null
+export const parseQuantity = (text) => {
+  if (typeof text !== 'string') return null;
+
+  for (const match of text.matchAll(QUANTITY_PATTERN)) {
+    const quantity = fromMatch(match);
+    if (quantity) return quantity;
+  }
+
+  return null;
+};
+
+export const formatQuantity = (quantity) => {
+  if (!quantity) return null;
+  const amount = `${quantity.amount} ${quantity.unit}`;
+  return quantity.count > 1 ? `${quantity.count}×${amount}` : amount;
+};
+
+// Price per kilogram, litre or piece. Without a pack size the unit price
+// printed on the tag is used, if it is already given per one of those.
+export const computeUnitPrice = ({ price, quantity, pricePerUnit, unit } = {}) => {
+  if (price > 0 && quantity?.base > 0) {
+    return { value: round(price / quantity.base, 2), unit: quantity.baseUnit };
+  }
+
+  if (pricePerUnit > 0 && BASE_UNITS.includes(unit)) {
+    return { value: pricePerUnit, unit };
+  }
+
+  return null;
+};
+
+export default {
+  BASE_UNITS,
+  parseQuantity,
+  formatQuantity,
+  computeUnitPrice
+};
@@ -0,0 +1,8 @@
+export const escapeRegExp = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const containsPattern = (value) => new RegExp(escapeRegExp(value), 'i');
+
+export default {
+  escapeRegExp,
+  containsPattern
+};
@@ -0,0 +1,44 @@
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  signal?.throwIfAborted();
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const backoffDelay = (attempt, { baseDelay = 1000, maxDelay = 30000 } = {}) => {
+  const delay = Math.min(baseDelay * 2 ** attempt, maxDelay);
+  // Up to 20% jitter so parallel callers don't retry in lockstep
+  return Math.round(delay * (0.8 + Math.random() * 0.2));
+};
+
+// Calls fn until it succeeds, `retries` more times at most, waiting with
+// exponential backoff in between. Errors shouldRetry rejects are thrown as is.
+export const withRetry = async (fn, { retries = 2, baseDelay, maxDelay, signal, shouldRetry = () => true, onRetry } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || signal?.aborted || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, { baseDelay, maxDelay });
+      onRetry?.(error, attempt + 1, delay);
+      await sleep(delay, signal);
+    }
+  }
+};
+
+export default {
+  backoffDelay,
+  withRetry
+};
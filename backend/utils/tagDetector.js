@@ -0,0 +1,162 @@
+import sharp from 'sharp';
+
+const ANALYSIS_WIDTH = 320;
+
+export const otsuThreshold = (pixels) => {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value]++;
+
+  const total = pixels.length;
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const between = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+
+    if (between > best) {
+      best = between;
+      threshold = i;
+    }
+  }
+
+  return threshold;
+};
+
+const findComponents = (mask, width, height) => {
+  const labels = new Int32Array(width * height);
+  const components = [];
+  const stack = [];
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+
+    const component = { minX: width, minY: height, maxX: 0, maxY: 0, area: 0 };
+    labels[start] = components.length + 1;
+    stack.push(start);
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const y = (index - x) / width;
+
+      component.area++;
+      if (x < component.minX) component.minX = x;
+      if (x > component.maxX) component.maxX = x;
+      if (y < component.minY) component.minY = y;
+      if (y > component.maxY) component.maxY = y;
+
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        y > 0 ? index - width : -1,
+        y < height - 1 ? index + width : -1
+      ];
+
+      for (const next of neighbours) {
+        if (next >= 0 && mask[next] && !labels[next]) {
+          labels[next] = labels[start];
+          stack.push(next);
+        }
+      }
+    }
+
+    components.push(component);
+  }
+
+  return components;
+};
+
+// Price tags are mostly flat light paper against a darker, busier shelf, so
+// bright connected blobs with a tag-like shape are good enough candidates.
+// Boxes are returned as fractions of the image size, in reading order.
+export const detectTagRegions = async (image, { maxRegions = 20 } = {}) => {
+  const { data, info } = await sharp(image)
+    .greyscale()
+    .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+    .median(3)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const threshold = otsuThreshold(data);
+  const mask = new Uint8Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    mask[i] = data[i] > threshold ? 1 : 0;
+  }
+
+  const imageArea = width * height;
+
+  const regions = findComponents(mask, width, height)
+    .map(c => {
+      const boxWidth = c.maxX - c.minX + 1;
+      const boxHeight = c.maxY - c.minY + 1;
+      return { ...c, boxWidth, boxHeight, fill: c.area / (boxWidth * boxHeight) };
+    })
+    .filter(c => {
+      const boxArea = c.boxWidth * c.boxHeight;
+      const aspect = c.boxWidth / c.boxHeight;
+      return boxArea >= imageArea * 0.01
+        && boxArea <= imageArea * 0.6
+        && aspect >= 0.3 && aspect <= 4
+        && c.fill >= 0.5;
+    })
+    .sort((a, b) => b.area - a.area)
+    .slice(0, maxRegions)
+    .map(c => ({
+      x: c.minX / width,
+      y: c.minY / height,
+      width: c.boxWidth / width,
+      height: c.boxHeight / height
+    }));
+
+  return sortByReadingOrder(regions);
+};
+
+export const sortByReadingOrder = (regions) => {
+  return [...regions].sort((a, b) => {
+    const sameRow = Math.abs(a.y - b.y) < Math.min(a.height, b.height) / 2;
+    return sameRow ? a.x - b.x : a.y - b.y;
+  });
+};
+
+// Whether a normalized region overlaps the image at all
+export const isInsideImage = (region) => (
+  region.x < 1 && region.y < 1 && region.x + region.width > 0 && region.y + region.height > 0
+);
+
+// left and top stay inside the image, so sharp can always extract the box
+export const toPixelBox = (region, imageWidth, imageHeight, padding = 0.02) => {
+  const left = Math.min(imageWidth - 1, Math.max(0, Math.floor((region.x - padding) * imageWidth)));
+  const top = Math.min(imageHeight - 1, Math.max(0, Math.floor((region.y - padding) * imageHeight)));
+  const right = Math.min(imageWidth, Math.ceil((region.x + region.width + padding) * imageWidth));
+  const bottom = Math.min(imageHeight, Math.ceil((region.y + region.height + padding) * imageHeight));
+
+  return {
+    x: left,
+    y: top,
+    width: Math.max(1, right - left),
+    height: Math.max(1, bottom - top)
+  };
+};
+
+export default {
+  otsuThreshold,
+  detectTagRegions,
+  sortByReadingOrder,
+  isInsideImage,
+  toPixelBox
+};
@@ -1,10 +1,10 @@
-import { useState, useRef, useCallback } from 'react'
+import { useState, useRef, useCallback, useEffect } from 'react'
 import './App.css'
 import { AuthProvider, useAuth } from './AuthContext'
 import { ToastProvider, useToast } from './components/Toast'
 import AuthModal from './components/AuthModal'
 import HistoryPanel from './components/HistoryPanel'
-import { scanApi } from './api'
+import { scanApi, historyApi } from './api'
 import ReactMarkdown from 'react-markdown'
 import remarkGfm from 'remark-gfm'
 
@@ -48,10 +48,41 @@ function AppContent() {
   const fileInputRef = useRef<HTMLInputElement>(null)
   const videoRef = useRef<HTMLVideoElement>(null)
   const streamRef = useRef<MediaStream | null>(null)
+  // Скан из истории, чей оригинал загружается или показан, и object URL оригинала
+  const historyScanRef = useRef<string | null>(null)
+  const historyImageUrlRef = useRef<string | null>(null)
+
+  // Object URL оригинала освобождается, как только его сменило другое изображение
+  useEffect(() => {
+    const url = historyImageUrlRef.current
+    if (url && url !== image) {
+      URL.revokeObjectURL(url)
+      historyImageUrlRef.current = null
+    }
+  }, [image])
+
+  // Пока оригинал загружается, показывается встроенная миниатюра старых записей.
+  // Ответ для скана, который уже не выбран, отбрасывается
+  const showHistoryImage = useCallback((scanId: string, fallback?: string) => {
+    historyScanRef.current = scanId
+    setImage(fallback || null)
+
+    historyApi.getImage(scanId)
+      .then(url => {
+        if (historyScanRef.current !== scanId) {
+          URL.revokeObjectURL(url)
+          return
+        }
+        historyImageUrlRef.current = url
+        setImage(url)
+      })
+      .catch(() => {})
+  }, [])
 
   const handleFileSelect = useCallback((file: File) => {
     if (!file.type.startsWith('image/')) return
 
+    historyScanRef.current = null
     const reader = new FileReader()
     reader.onload = (e) => {
       setImage(e.target?.result as string)
@@ -114,6 +145,7 @@ function AppContent() {
   }
 
   const handleClear = () => {
+    historyScanRef.current = null
     setImage(null)
     setImageFile(null)
     setResult(null)
@@ -163,6 +195,7 @@ function AppContent() {
     canvas.toBlob((blob) => {
       if (blob) {
         const file = new File([blob], 'camera-capture.jpg', { type: 'image/jpeg' })
+        historyScanRef.current = null
         setImage(dataUrl)
         setImageFile(file)
         setResult(null)
@@ -182,6 +215,7 @@ function AppContent() {
 
   const loadHistoryItem = (item: ScanResult) => {
     if (item.imageUrl) {
+      historyScanRef.current = null
       setImage(item.imageUrl)
     }
     setResult(item.text)
@@ -475,9 +509,7 @@ function AppContent() {
         onSelectScan={(scan) => {
           setResult(scan.originalText)
           setParsedData(scan.extractedData)
-          if (scan.imageData) {
-            setImage(scan.imageData)
-          }
+          showHistoryImage(scan._id, scan.imageData)
           setShowHistory(false)
         }}
       />
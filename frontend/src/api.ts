@@ -1,4 +1,4 @@
-import type { HistoryFilters, ProductFilters } from './types';
+import type { BulkRescanResponse, HistoryFilters, ImageVariant, ModelsResponse, ParsedData, PreprocessPresets, PriceType, ProductFilters, RescanOptions, ScanJob, Store, StoreFilters, StoreInput, StorePriceComparison, StorePriceQuery } from './types';
 
 const API_URL = 'http://localhost:3001/api';
 
@@ -53,16 +53,34 @@ export const authApi = {
   me: () => fetchWithAuth('/auth/me'),
 
   logout: () => fetchWithAuth('/auth/logout', { method: 'POST' }),
+
+  updateSettings: (settings: { defaultModel?: string | null; lastStoreId?: string | null }) =>
+    fetchWithAuth('/auth/me', {
+      method: 'PATCH',
+      body: JSON.stringify(settings),
+    }),
+};
+
+// Models API
+export const modelsApi = {
+  getModels: (): Promise<ModelsResponse> => fetchWithAuth('/models'),
 };
 
 // Scan API
 export const scanApi = {
-  scan: async (imageFile: File, enhanceImage: boolean = false) => {
+  // Без storeId сервер берёт последний магазин пользователя
+  scan: async (imageFile: File, enhanceImage: boolean = false, model?: string, storeId?: string) => {
     const formData = new FormData();
     formData.append('image', imageFile);
     if (enhanceImage) {
       formData.append('enhanceImage', 'true');
     }
+    if (model) {
+      formData.append('model', model);
+    }
+    if (storeId) {
+      formData.append('storeId', storeId);
+    }
 
     const token = getToken();
     const headers: HeadersInit = {};
@@ -83,6 +101,55 @@ export const scanApi = {
 
     return response.json();
   },
+
+  // Поставить скан в очередь, ответ приходит сразу с ID задачи
+  createJob: (imageFile: File, enhanceImage: boolean = false, model?: string, storeId?: string): Promise<ScanJob> => {
+    const formData = new FormData();
+    formData.append('image', imageFile);
+    if (enhanceImage) {
+      formData.append('enhanceImage', 'true');
+    }
+    if (model) {
+      formData.append('model', model);
+    }
+    if (storeId) {
+      formData.append('storeId', storeId);
+    }
+    return fetchWithAuth('/scan/jobs', { method: 'POST', body: formData });
+  },
+
+  getJob: (id: string): Promise<ScanJob> => fetchWithAuth(`/scan/jobs/${id}`),
+
+  cancelJob: (id: string): Promise<ScanJob> =>
+    fetchWithAuth(`/scan/jobs/${id}/cancel`, { method: 'POST' }),
+};
+
+// Preprocess API
+export const preprocessApi = {
+  getPresets: (): Promise<PreprocessPresets> => fetchWithAuth('/preprocess/presets'),
+
+  // Обработанное изображение без распознавания, для сравнения "до/после"
+  preview: async (imageFile: File, preset: string) => {
+    const formData = new FormData();
+    formData.append('image', imageFile);
+    formData.append('preprocess', preset);
+
+    const response = await fetch(`${API_URL}/preprocess/preview`, {
+      method: 'POST',
+      body: formData,
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Ошибка сервера' }));
+      throw new Error(error.error || 'Ошибка предобработки');
+    }
+
+    const steps = response.headers.get('X-Preprocess-Steps');
+    return {
+      imageUrl: URL.createObjectURL(await response.blob()),
+      steps: steps ? steps.split(',') : [],
+    };
+  },
 };
 
 // History API
@@ -102,7 +169,53 @@ export const historyApi = {
   deleteScan: (id: string) =>
     fetchWithAuth(`/history/${id}`, { method: 'DELETE' }),
 
+  correctScan: (id: string, changes: Partial<ParsedData>) =>
+    fetchWithAuth(`/history/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    }),
+
+  // Новая ревизия той же записи; данные записи меняются только с accept
+  rescanScan: (id: string, options: RescanOptions = {}) =>
+    fetchWithAuth(`/history/${id}/rescan`, {
+      method: 'POST',
+      body: JSON.stringify(options),
+    }),
+
+  bulkRescan: (filter: HistoryFilters, options: RescanOptions = {}, limit?: number): Promise<BulkRescanResponse> =>
+    fetchWithAuth('/history/rescan', {
+      method: 'POST',
+      body: JSON.stringify({ ...options, filter, limit }),
+    }),
+
+  acceptRevision: (id: string, revisionId: string) =>
+    fetchWithAuth(`/history/${id}/revisions/${revisionId}/accept`, { method: 'POST' }),
+
   getStats: () => fetchWithAuth('/history/stats/summary'),
+
+  getReviewQueue: (field?: string, page = 1) => {
+    const params = new URLSearchParams({ page: String(page) });
+    if (field) params.append('field', field);
+    return fetchWithAuth(`/history/review?${params.toString()}`);
+  },
+
+  // Сохранённое изображение скана как object URL; освобождать через URL.revokeObjectURL
+  getImage: async (id: string, variant: ImageVariant = 'original', size?: number) => {
+    const params = new URLSearchParams({ variant });
+    if (size) params.append('size', String(size));
+
+    const token = getToken();
+    const response = await fetch(`${API_URL}/history/${id}/image?${params.toString()}`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Ошибка сервера' }));
+      throw new Error(error.error || 'Изображение не найдено');
+    }
+
+    return URL.createObjectURL(await response.blob());
+  },
 };
 
 // Products API
@@ -122,13 +235,28 @@ export const productsApi = {
   getProductByBarcode: (barcode: string) =>
     fetchWithAuth(`/products/barcode/${barcode}`),
 
-  getPriceHistory: (id: string, startDate?: string, endDate?: string) => {
+  // groupByStore добавляет в ответ историю и статистику по каждому магазину
+  getPriceHistory: (id: string, startDate?: string, endDate?: string, priceType?: PriceType, storeId?: string, groupByStore?: boolean) => {
     const params = new URLSearchParams();
     if (startDate) params.append('startDate', startDate);
     if (endDate) params.append('endDate', endDate);
+    if (priceType) params.append('priceType', priceType);
+    if (storeId) params.append('storeId', storeId);
+    if (groupByStore) params.append('groupBy', 'store');
     return fetchWithAuth(`/products/${id}/price-history?${params.toString()}`);
   },
 
+  // Последняя цена в каждом магазине; с координатами — только магазины в радиусе
+  getStorePrices: (barcode: string, query: StorePriceQuery = {}): Promise<StorePriceComparison> => {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined) {
+        params.append(key, String(value));
+      }
+    });
+    return fetchWithAuth(`/products/barcode/${barcode}/store-prices?${params.toString()}`);
+  },
+
   compareProducts: (productIds?: string[], barcodes?: string[]) =>
     fetchWithAuth('/products/compare', {
       method: 'POST',
@@ -136,9 +264,42 @@ export const productsApi = {
     }),
 };
 
+// Stores API
+export const storesApi = {
+  getStores: (filters: StoreFilters = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.append(key, String(value));
+      }
+    });
+    return fetchWithAuth(`/stores?${params.toString()}`);
+  },
+
+  getStore: (id: string): Promise<Store> => fetchWithAuth(`/stores/${id}`),
+
+  createStore: (store: StoreInput): Promise<Store> =>
+    fetchWithAuth('/stores', {
+      method: 'POST',
+      body: JSON.stringify(store),
+    }),
+
+  updateStore: (id: string, changes: StoreInput): Promise<Store> =>
+    fetchWithAuth(`/stores/${id}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes),
+    }),
+
+  deleteStore: (id: string) =>
+    fetchWithAuth(`/stores/${id}`, { method: 'DELETE' }),
+};
+
 export default {
   auth: authApi,
+  models: modelsApi,
   scan: scanApi,
+  preprocess: preprocessApi,
   history: historyApi,
   products: productsApi,
+  stores: storesApi,
 };
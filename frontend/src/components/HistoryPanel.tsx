@@ -22,6 +22,42 @@ interface ScanItem {
   createdAt: string;
 }
 
+// Миниатюра с сервера; встроенный imageData есть только у старых записей
+const HistoryThumbnail = ({ item }: { item: ScanItem }) => {
+  const [src, setSrc] = useState<string | null>(null);
+
+  useEffect(() => {
+    let objectUrl: string | null = null;
+    let cancelled = false;
+
+    historyApi.getImage(item._id, 'thumbnail')
+      .then(url => {
+        objectUrl = url;
+        if (cancelled) {
+          URL.revokeObjectURL(url);
+        } else {
+          setSrc(url);
+        }
+      })
+      .catch(() => {
+        if (!cancelled) setSrc(item.imageData || null);
+      });
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [item._id, item.imageData]);
+
+  if (!src) return null;
+
+  return (
+    <div className="history-card-image">
+      <img src={src} alt="" />
+    </div>
+  );
+};
+
 interface HistoryPanelProps {
   isOpen: boolean;
   onClose: () => void;
@@ -179,11 +215,7 @@ export const HistoryPanel = ({ isOpen, onClose, onSelectScan }: HistoryPanelProp
                   key={item._id}
                   className={`history-card ${item.extractedData.isPromo ? 'promo' : ''}`}
                 >
-                  {item.imageData && (
-                    <div className="history-card-image">
-                      <img src={item.imageData} alt="" />
-                    </div>
-                  )}
+                  <HistoryThumbnail item={item} />
                   <div className="history-card-content">
                     <div className="history-card-header">
                       <span className="history-card-name">
@@ -13,8 +13,11 @@ interface PricePoint {
   date: string;
   price: number;
   originalPrice?: number;
+  cardPrice?: number;
+  cardProgram?: string;
   isPromo?: boolean;
-  store?: string;
+  storeId?: string | null;
+  store?: string | null;
 }
 
 interface PriceChartProps {
@@ -27,6 +30,12 @@ interface PriceChartProps {
   };
 }
 
+const PRICE_LABELS: Record<string, string> = {
+  price: 'Цена',
+  originalPrice: 'Старая цена',
+  cardPrice: 'По карте',
+};
+
 export const PriceChart = ({ data, productName, stats }: PriceChartProps) => {
   if (!data || data.length === 0) {
     return (
@@ -45,6 +54,8 @@ export const PriceChart = ({ data, productName, stats }: PriceChartProps) => {
     fullDate: new Date(point.date).toLocaleDateString('ru-RU'),
   }));
 
+  const hasCardPrices = data.some(d => d.cardPrice);
+
   const formatPrice = (value: number) => `${value.toFixed(0)} ₽`;
 
   return (
@@ -92,7 +103,7 @@ export const PriceChart = ({ data, productName, stats }: PriceChartProps) => {
               }}
               formatter={(value: number | undefined, name: string | undefined) => [
                 value !== undefined ? formatPrice(value) : '—',
-                name === 'price' ? 'Цена' : 'Старая цена'
+                PRICE_LABELS[name ?? ''] ?? name
               ]}
               labelFormatter={(label) => `Дата: ${label}`}
             />
@@ -145,6 +156,16 @@ export const PriceChart = ({ data, productName, stats }: PriceChartProps) => {
                 dot={false}
               />
             )}
+            {hasCardPrices && (
+              <Line
+                type="monotone"
+                dataKey="cardPrice"
+                stroke="#2563eb"
+                strokeWidth={2}
+                connectNulls
+                dot={{ r: 3, fill: '#2563eb', stroke: '#fff', strokeWidth: 1 }}
+              />
+            )}
           </LineChart>
         </ResponsiveContainer>
       </div>
@@ -158,6 +179,12 @@ export const PriceChart = ({ data, productName, stats }: PriceChartProps) => {
           <span className="legend-dot legend-promo"></span>
           <span>Акция</span>
         </div>
+        {hasCardPrices && (
+          <div className="legend-item">
+            <span className="legend-dot" style={{ background: '#2563eb' }}></span>
+            <span>По карте</span>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -8,17 +8,28 @@ export interface HistoryFilters {
   maxPrice?: number;
   isPromo?: boolean;
   barcode?: string;
+  model?: string;
+  brand?: string;
+  composition?: string;
+  expiresAfter?: string;
+  expiresBefore?: string;
   page?: number;
   limit?: number;
 }
 
+export type PriceType = 'regular' | 'card';
+
 export interface ProductFilters {
   search?: string;
   barcode?: string;
   brand?: string;
+  composition?: string;
   minPrice?: number;
   maxPrice?: number;
   hasPromo?: boolean;
+  priceType?: PriceType;
+  promoActiveOn?: string;
+  promoEndingWithin?: number;
   page?: number;
   limit?: number;
 }
@@ -27,25 +38,280 @@ export interface User {
   _id: string;
   username: string;
   email: string;
+  defaultModel?: string;
+  lastStoreId?: string;
   createdAt: string;
 }
 
+export interface Store {
+  _id: string;
+  name: string;
+  chain?: string;
+  address?: string;
+  latitude: number | null;
+  longitude: number | null;
+}
+
+export type StoreInput = Partial<Omit<Store, '_id'>>;
+
+export interface StoreFilters {
+  chain?: string;
+  search?: string;
+  latitude?: number;
+  longitude?: number;
+  radius?: number;
+  page?: number;
+  limit?: number;
+}
+
+// Последняя цена товара в магазине
+export interface StorePrice {
+  storeId: string;
+  store: Pick<Store, '_id' | 'name' | 'chain' | 'address'> | null;
+  price: number;
+  regularPrice: number;
+  cardPrice?: number;
+  cardProgram?: string;
+  currency: string;
+  isPromo?: boolean;
+  scannedAt: string;
+}
+
+export interface StorePriceObservation {
+  store: Store;
+  price: number;
+  regularPrice: number;
+  originalPrice?: number;
+  cardPrice?: number;
+  cardProgram?: string;
+  currency: string;
+  isPromo: boolean;
+  promo?: Promo | null;
+  promoEndsAt: string | null;
+  promoEnded: boolean;
+  scannedAt: string;
+  ageDays: number;
+  distance: number | null;
+}
+
+// Где товар дешевле всего: последняя цена в каждом магазине, от дешёвой к дорогой
+export interface StorePriceComparison {
+  productId: string;
+  productName: string;
+  barcode: string;
+  priceType: PriceType;
+  currency: string;
+  currencies: string[];
+  near: { latitude: number; longitude: number; radius: number } | null;
+  cheapest: StorePriceObservation | null;
+  spread: { min: number; max: number; amount: number; percent: number } | null;
+  prices: StorePriceObservation[];
+}
+
+export interface StorePriceQuery {
+  priceType?: PriceType;
+  latitude?: number;
+  longitude?: number;
+  radius?: number;
+  currency?: string;
+}
+
+export interface VisionModel {
+  name: string;
+  size?: number;
+  modified_at?: string;
+}
+
+export interface ModelsResponse {
+  models: VisionModel[];
+  provider: string;
+  defaultModel: string;
+}
+
+export type BaseUnit = 'кг' | 'л' | 'шт';
+
+export interface Quantity {
+  amount: number;
+  unit: string;
+  count: number;
+  base: number;
+  baseUnit: BaseUnit;
+}
+
+export interface UnitPrice {
+  value: number;
+  unit: BaseUnit;
+}
+
+export type PromoMechanic =
+  | 'n_for_m'
+  | 'bundle_price'
+  | 'nth_item_price'
+  | 'nth_item_discount'
+  | 'min_quantity';
+
+export interface Promo {
+  mechanic: PromoMechanic;
+  minQuantity: number;
+  payQuantity?: number;
+  promoPrice?: number | null;
+  discountPercent?: number | null;
+  effectivePrice: number | null;
+  label: string;
+}
+
 export interface ParsedData {
   price?: number;
   originalPrice?: number;
+  regularPrice?: number;
+  cardPrice?: number | null;
+  cardProgram?: string | null;
+  pricePerUnit?: number;
+  unit?: string;
+  quantity?: Quantity | null;
+  unitPrice?: UnitPrice | null;
   currency?: string;
   currencySymbol?: string;
   barcode?: string;
   isPromo?: boolean;
   promoType?: string;
+  promo?: Promo | null;
   discountPercent?: number;
+  brand?: string;
+  composition?: string;
+  expiryDate?: string;
+  expiresAt?: string;
+  promoPeriod?: string | null;
+  promoStartsAt?: string | null;
+  promoEndsAt?: string | null;
+  printDate?: string | null;
+  printedAt?: string | null;
   productName?: string;
 }
 
+export interface PreprocessPresets {
+  presets: Record<string, string[]>;
+  steps: string[];
+}
+
+export type ScanJobStatus =
+  | 'queued'
+  | 'preprocessing'
+  | 'inferring'
+  | 'parsing'
+  | 'done'
+  | 'failed'
+  | 'cancelled';
+
+export interface ScanJob {
+  id: string;
+  status: ScanJobStatus;
+  result?: {
+    id: string;
+    text: string;
+    parsed?: ParsedData;
+    model?: string;
+    processingTime?: number;
+  };
+  scanId?: string;
+  error?: string;
+  errorCode?: 'CIRCUIT_OPEN' | 'MODEL_NOT_FOUND';
+  createdAt: string;
+  startedAt?: string;
+  finishedAt?: string;
+}
+
+export interface DuplicateInfo {
+  of: string;
+  distance: number;
+  scannedAt: string;
+}
+
+export interface BarcodeCheck {
+  ocr: string | null;
+  decoded: string | null;
+  format: 'EAN-13' | 'EAN-8' | 'UPC-A' | null;
+  source: 'decoded' | 'ocr' | null;
+  mismatch: boolean;
+}
+
+export type ConfidenceReason =
+  | 'confirmed'
+  | 'decoded'
+  | 'template'
+  | 'schema'
+  | 'regex'
+  | 'conflict'
+  | 'default'
+  | 'missing';
+
+export interface FieldConfidence {
+  score: number;
+  reason: ConfidenceReason;
+}
+
+export interface Confidence {
+  score: number;
+  fields: Record<string, FieldConfidence>;
+  needsReview: boolean;
+  reasons: string[];
+}
+
+export interface EnsembleOutput {
+  model: string;
+  text?: string;
+  parsed?: ParsedData;
+  processingTime: number;
+  error?: string;
+}
+
+export interface EnsembleDisagreement {
+  field: string;
+  chosen: unknown;
+  values: { model: string; value: unknown }[];
+}
+
+export interface Ensemble {
+  models: string[];
+  outputs: EnsembleOutput[];
+  agreement: Record<string, number>;
+  disagreements: EnsembleDisagreement[];
+}
+
+export interface RescanOptions {
+  model?: string;
+  preprocess?: string;
+  extraction?: 'template' | 'json';
+  ensemble?: boolean;
+  models?: string;
+  locale?: string;
+  currency?: string;
+  chain?: string;
+  accept?: boolean;
+}
+
+export interface BulkRescanResponse {
+  jobs: { id: string; scanId: string; status: ScanJobStatus }[];
+  matched: number;
+}
+
+export type ImageVariant = 'original' | 'enhanced' | 'thumbnail';
+
+export interface PromptRef {
+  templateId?: string;
+  name: string;
+  version: number;
+}
+
 export interface ScanResult {
   id: string;
   text: string;
   timestamp: Date;
   imageUrl?: string;
   parsed?: ParsedData;
+  duplicate?: DuplicateInfo;
+  barcodeCheck?: BarcodeCheck;
+  confidence?: Confidence;
+  ensemble?: Ensemble;
+  prompt?: PromptRef;
 }